@@ -2,7 +2,7 @@
  * Spot It Card Generation Algorithm
  * 
  * Based on finite projective plane mathematics.
- * For order n (where n is a prime number):
+ * For order n (where n is a prime power: 2, 3, 4, 5, 7, 8, 9, ...):
  * - Each card has n + 1 symbols
  * - Total cards = n² + n + 1
  * - Total symbols = n² + n + 1
@@ -14,12 +14,200 @@
  * - 57 total symbols
  */
 
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence.
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Derive an independent sub-seed, e.g. one per card and purpose,
+ * so changing one part of the deck does not shift the others
+ * @param {number} seed - Deck seed
+ * @param {...number} parts - Values to mix in
+ * @returns {number} 32-bit integer seed
+ */
+function deriveSeed(seed, ...parts) {
+    let hash = seed >>> 0;
+    parts.forEach(part => {
+        hash = Math.imul(hash ^ part, 0x9E3779B1) >>> 0;
+        hash ^= hash >>> 16;
+    });
+    return hash >>> 0;
+}
+
+/**
+ * Generate a new random deck seed
+ * @returns {number} 32-bit integer seed
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Fisher-Yates shuffle
+ * @param {Array} array - Array to shuffle (not modified)
+ * @param {function(): number} random - Random number generator
+ * @returns {Array} Shuffled copy
+ */
+function shuffle(array, random) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Sub-seed purposes, so each use of randomness gets its own stream
+const SEED_DECK = 1;
+const SEED_SIZES = 2;
+const SEED_GRID = 3;
+const SEED_CIRCLE = 4;
+
+/**
+ * Factor n as p^k for a prime p
+ * @param {number} n - Number to factor
+ * @returns {{p: number, k: number}|null} Prime and exponent, or null if n is not a prime power
+ */
+export function getPrimePower(n) {
+    if (!Number.isInteger(n) || n < 2) return null;
+    
+    // Smallest divisor of n is always prime
+    let p = 2;
+    while (n % p !== 0) p++;
+    
+    let k = 0;
+    let rest = n;
+    while (rest % p === 0) {
+        rest /= p;
+        k++;
+    }
+    
+    return rest === 1 ? { p, k } : null;
+}
+
+/**
+ * Check whether a projective plane of order n can be built
+ * @param {number} n - The order of the projective plane
+ * @returns {boolean} True if n is a prime power
+ */
+export function isValidOrder(n) {
+    return getPrimePower(n) !== null;
+}
+
+/**
+ * Build addition and multiplication tables for the finite field GF(p^k)
+ * 
+ * Elements are polynomials over GF(p) of degree < k, encoded as integers
+ * whose base-p digits are the coefficients. Multiplication is done modulo a
+ * monic irreducible polynomial of degree k, found by brute-force search.
+ * For k = 1 this reduces to plain arithmetic modulo p.
+ * 
+ * @param {number} n - Field size (must be a prime power)
+ * @returns {{add: number[][], mul: number[][]}} Operation tables indexed [a][b]
+ */
+export function createFiniteField(n) {
+    const factors = getPrimePower(n);
+    if (!factors) {
+        throw new Error(`Order ${n} is not a prime power`);
+    }
+    const { p, k } = factors;
+    
+    const toDigits = (value) => {
+        const digits = [];
+        for (let i = 0; i < k; i++) {
+            digits.push(value % p);
+            value = Math.floor(value / p);
+        }
+        return digits;
+    };
+    
+    const fromDigits = (digits) => {
+        let value = 0;
+        for (let i = k - 1; i >= 0; i--) {
+            value = value * p + digits[i];
+        }
+        return value;
+    };
+    
+    // Addition is coefficient-wise modulo p
+    const add = [];
+    for (let a = 0; a < n; a++) {
+        const da = toDigits(a);
+        add.push([]);
+        for (let b = 0; b < n; b++) {
+            const db = toDigits(b);
+            add[a].push(fromDigits(da.map((d, i) => (d + db[i]) % p)));
+        }
+    }
+    
+    // Multiply two polynomials and reduce modulo the monic polynomial x^k + modulus
+    const multiply = (a, b, modulus) => {
+        const da = toDigits(a);
+        const db = toDigits(b);
+        const product = new Array(2 * k - 1).fill(0);
+        for (let i = 0; i < k; i++) {
+            for (let j = 0; j < k; j++) {
+                product[i + j] = (product[i + j] + da[i] * db[j]) % p;
+            }
+        }
+        for (let deg = product.length - 1; deg >= k; deg--) {
+            const coeff = product[deg];
+            if (coeff === 0) continue;
+            product[deg] = 0;
+            for (let i = 0; i < k; i++) {
+                product[deg - k + i] = ((product[deg - k + i] - coeff * modulus[i]) % p + p) % p;
+            }
+        }
+        return fromDigits(product.slice(0, k));
+    };
+    
+    // The tables form a field exactly when there are no zero divisors,
+    // i.e. the modulus polynomial is irreducible
+    for (let candidate = 0; candidate < n; candidate++) {
+        const modulus = toDigits(candidate);
+        const mul = [];
+        let isField = true;
+        
+        for (let a = 0; a < n && isField; a++) {
+            mul.push([]);
+            for (let b = 0; b < n; b++) {
+                const value = multiply(a, b, modulus);
+                if (a !== 0 && b !== 0 && value === 0) {
+                    isField = false;
+                    break;
+                }
+                mul[a].push(value);
+            }
+        }
+        
+        if (isField) {
+            return { add, mul };
+        }
+    }
+    
+    throw new Error(`No irreducible polynomial found for GF(${n})`);
+}
+
 /**
  * Generate all card configurations for a given order
- * @param {number} n - The order of the projective plane (must be prime)
+ * @param {number} n - The order of the projective plane (must be a prime power)
  * @returns {number[][]} Array of cards, each card is an array of symbol indices
  */
 export function generateCards(n = 7) {
+    const { add, mul } = createFiniteField(n);
     const cards = [];
     
     // First card: symbols 0 to n
@@ -38,12 +226,12 @@ export function generateCards(n = 7) {
         cards.push(card);
     }
     
-    // Remaining n² cards
+    // Remaining n² cards: lines y = i·x + j over GF(n)
     for (let i = 0; i < n; i++) {
         for (let j = 0; j < n; j++) {
             const card = [i + 1]; // One symbol from first card (1 to n)
             for (let k = 0; k < n; k++) {
-                const symbolIndex = n + 1 + k * n + ((i * k + j) % n);
+                const symbolIndex = n + 1 + k * n + add[mul[i][k]][j];
                 card.push(symbolIndex);
             }
             cards.push(card);
@@ -71,6 +259,286 @@ export function getSymbolsPerCard(n = 7) {
     return n + 1;
 }
 
+/**
+ * Randomize a deck without changing its structure
+ * 
+ * Relabels the symbols (which description lands on which projective point),
+ * shuffles the card order and the symbol order on each card. Any two cards
+ * still share exactly one symbol, and the same seed always gives the same deck.
+ * 
+ * @param {number[][]} cards - Cards with symbol indices 0..m-1
+ * @param {number} seed - Deck seed
+ * @returns {number[][]} Shuffled cards
+ */
+export function shuffleDeck(cards, seed) {
+    const random = createRandom(deriveSeed(seed, SEED_DECK));
+    const numSymbols = Math.max(-1, ...cards.flat()) + 1;
+    const symbolMap = shuffle([...Array(numSymbols).keys()], random);
+    
+    return shuffle(cards, random).map(card => shuffle(card.map(symbol => symbolMap[symbol]), random));
+}
+
+/**
+ * Count the distinct symbols used across a set of cards
+ * @param {number[][]} cards - Array of cards
+ * @returns {number} Number of unique symbols
+ */
+export function countSymbols(cards) {
+    const used = new Set();
+    cards.forEach(card => card.forEach(symbol => used.add(symbol)));
+    return used.size;
+}
+
+/**
+ * Pick a partial deck of cardCount cards from a full projective plane
+ * 
+ * Any subset of a valid deck still has exactly one shared symbol per pair,
+ * so the only choice is which cards to drop. Cards are removed one at a
+ * time from the symbol with the fewest remaining cards, which empties whole
+ * symbols as early as possible and minimises how many symbols (and images)
+ * the partial deck needs. Unused symbols are dropped and the rest are
+ * renumbered 0..m-1, preserving their original order.
+ * 
+ * @param {number[][]} cards - Full deck from generateCards
+ * @param {number} cardCount - Target number of cards
+ * @returns {number[][]} Partial deck with contiguous symbol indices
+ */
+export function selectCards(cards, cardCount) {
+    const target = Math.max(1, Math.min(cardCount, cards.length));
+    const remaining = cards.map((card, index) => index);
+    
+    // symbol -> indices of remaining cards containing it
+    const cardsBySymbol = new Map();
+    cards.forEach((card, cardIndex) => {
+        card.forEach(symbol => {
+            if (!cardsBySymbol.has(symbol)) cardsBySymbol.set(symbol, new Set());
+            cardsBySymbol.get(symbol).add(cardIndex);
+        });
+    });
+    
+    while (remaining.length > target) {
+        // Symbol closest to being unused (ties go to the highest symbol index)
+        let bestSymbol = null;
+        let bestCount = Infinity;
+        cardsBySymbol.forEach((cardSet, symbol) => {
+            if (cardSet.size > 0 && cardSet.size <= bestCount) {
+                bestSymbol = symbol;
+                bestCount = cardSet.size;
+            }
+        });
+        
+        // Drop the last remaining card that shows it
+        const cardIndex = Math.max(...cardsBySymbol.get(bestSymbol));
+        remaining.splice(remaining.indexOf(cardIndex), 1);
+        cards[cardIndex].forEach(symbol => cardsBySymbol.get(symbol).delete(cardIndex));
+    }
+    
+    // Renumber the symbols that are still in use
+    const usedSymbols = [...cardsBySymbol.keys()]
+        .filter(symbol => cardsBySymbol.get(symbol).size > 0)
+        .sort((a, b) => a - b);
+    const symbolMap = new Map(usedSymbols.map((symbol, i) => [symbol, i]));
+    
+    return remaining.map(cardIndex => cards[cardIndex].map(symbol => symbolMap.get(symbol)));
+}
+
+/**
+ * List the largest deck of each order that the available images can fill
+ * 
+ * Tries every order, from the full deck down to smaller partial decks,
+ * and keeps the first (largest) one that needs no more symbols than there
+ * are images.
+ * 
+ * @param {number} imageCount - Number of available symbol images
+ * @param {number[]} orders - Orders to consider
+ * @param {number} minCards - Smallest deck worth suggesting
+ * @returns {{order: number, cardCount: number, symbolCount: number}[]} One entry per order that fits
+ */
+export function listDeckSizes(imageCount, orders, minCards = 2) {
+    const sizes = [];
+    
+    orders.forEach(order => {
+        const fullDeck = generateCards(order);
+        for (let cardCount = fullDeck.length; cardCount >= minCards; cardCount--) {
+            const symbolCount = countSymbols(selectCards(fullDeck, cardCount));
+            if (symbolCount > imageCount) continue;
+            
+            sizes.push({ order, cardCount, symbolCount });
+            break; // Smaller decks of this order have fewer cards
+        }
+    });
+    
+    return sizes;
+}
+
+/**
+ * Suggest a deck size for the available images
+ * 
+ * Keeps the deck with the most cards that still fits the images, so a full
+ * deck of the largest order that fits beats a few cards of a larger order
+ * (ties go to the deck that needs fewer symbols).
+ * 
+ * @param {number} imageCount - Number of available symbol images
+ * @param {number[]} orders - Orders to consider
+ * @param {number} minCards - Smallest deck worth suggesting
+ * @returns {{order: number, cardCount: number, symbolCount: number}|null} Suggestion, or null if too few images
+ */
+export function suggestDeckSize(imageCount, orders, minCards = 2) {
+    let best = null;
+    
+    listDeckSizes(imageCount, orders, minCards).forEach(size => {
+        if (!best || size.cardCount > best.cardCount ||
+            (size.cardCount === best.cardCount && size.symbolCount < best.symbolCount)) {
+            best = size;
+        }
+    });
+    
+    return best;
+}
+
+/**
+ * Find every pair of cards that does not share exactly one symbol
+ * 
+ * Counts shared symbols through a symbol -> cards index, so the cost is
+ * proportional to the number of card pairs that actually share something
+ * rather than cards² · symbols².
+ * 
+ * @param {number[][]} cards - Array of cards
+ * @returns {{cardA: number, cardB: number, shared: number[]}[]} Offending pairs
+ */
+function findPairErrors(cards) {
+    const numCards = cards.length;
+    const sharedCounts = new Uint16Array(numCards * numCards);
+    
+    const cardsBySymbol = new Map();
+    cards.forEach((card, cardIndex) => {
+        new Set(card).forEach(symbol => {
+            if (!cardsBySymbol.has(symbol)) cardsBySymbol.set(symbol, []);
+            cardsBySymbol.get(symbol).push(cardIndex);
+        });
+    });
+    
+    cardsBySymbol.forEach(cardIndices => {
+        for (let i = 0; i < cardIndices.length; i++) {
+            for (let j = i + 1; j < cardIndices.length; j++) {
+                sharedCounts[cardIndices[i] * numCards + cardIndices[j]]++;
+            }
+        }
+    });
+    
+    const errors = [];
+    for (let a = 0; a < numCards; a++) {
+        for (let b = a + 1; b < numCards; b++) {
+            if (sharedCounts[a * numCards + b] !== 1) {
+                const symbolsB = new Set(cards[b]);
+                const shared = [...new Set(cards[a])].filter(symbol => symbolsB.has(symbol));
+                errors.push({ cardA: a, cardB: b, shared });
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Find overlapping symbols in card layouts
+ * @param {number[][]} cards - Array of cards
+ * @param {Object[][]} layouts - Array of layouts for each card
+ * @param {string} mode - Layout mode ('grid' or 'circle')
+ * @returns {{card: number, symbolA: number, symbolB: number}[]} Overlapping symbol pairs
+ */
+function findLayoutOverlaps(cards, layouts, mode) {
+    const overlaps = [];
+    cards.forEach((card, cardIndex) => {
+        const layout = layouts[cardIndex] || [];
+        for (let i = 0; i < card.length; i++) {
+            for (let j = i + 1; j < card.length; j++) {
+                if (layout[i] && layout[j] && positionsOverlap(layout[i], layout[j], mode)) {
+                    overlaps.push({ card: cardIndex, symbolA: card[i], symbolB: card[j] });
+                }
+            }
+        }
+    });
+    return overlaps;
+}
+
+/**
+ * Build a full validation report for a deck
+ * 
+ * Unlike verifyCards this never stops early: every problem is collected so
+ * the UI can show them all at once. Layout, image and description checks are
+ * skipped when the corresponding arrays are not supplied.
+ * 
+ * @param {Object} deck - Deck to validate
+ * @param {number[][]} deck.cards - Array of cards (symbol indices)
+ * @param {number} [deck.symbolCount] - Number of symbols in the deck (defaults to the symbols used by the cards)
+ * @param {Object[][]} [deck.layouts] - Array of layouts for each card
+ * @param {string} [deck.layoutMode] - Layout mode the layouts were generated with
+ * @param {string[]} [deck.images] - Array of image data URLs per symbol
+ * @param {string[]} [deck.descriptions] - Array of descriptions per symbol
+ * @returns {Object} Report with `valid`, `errors` and per-check details
+ */
+export function validateDeck({ cards, symbolCount = null, layouts = null, layoutMode = 'grid', images = null, descriptions = null }) {
+    const totalSymbols = symbolCount ?? countSymbols(cards);
+    
+    const pairErrors = findPairErrors(cards);
+    
+    const symbolFrequency = new Array(totalSymbols).fill(0);
+    cards.forEach(card => card.forEach(symbol => {
+        if (symbol < totalSymbols) symbolFrequency[symbol]++;
+    }));
+    const unusedSymbols = symbolFrequency
+        .map((count, symbol) => (count === 0 ? symbol : -1))
+        .filter(symbol => symbol >= 0);
+    
+    const symbolsPerCard = cards.map(card => card.length);
+    
+    const missingImages = [];
+    const missingDescriptions = [];
+    for (let i = 0; i < totalSymbols; i++) {
+        if (images && !images[i]) missingImages.push(i);
+        if (descriptions && !descriptions[i]?.trim()) missingDescriptions.push(i);
+    }
+    
+    const overlaps = layouts ? findLayoutOverlaps(cards, layouts, layoutMode) : [];
+    
+    const errors = [];
+    if (pairErrors.length > 0) {
+        errors.push(`${pairErrors.length} card pair(s) do not share exactly one symbol`);
+    }
+    if (missingImages.length > 0) {
+        errors.push(`${missingImages.length} symbol(s) have no image`);
+    }
+    if (overlaps.length > 0) {
+        errors.push(`${overlaps.length} overlapping symbol pair(s) in card layouts`);
+    }
+    
+    const warnings = [];
+    if (missingDescriptions.length > 0) {
+        warnings.push(`${missingDescriptions.length} symbol(s) have no description`);
+    }
+    if (unusedSymbols.length > 0) {
+        warnings.push(`${unusedSymbols.length} symbol(s) do not appear on any card`);
+    }
+    if (new Set(symbolsPerCard).size > 1) {
+        warnings.push('Cards have different numbers of symbols');
+    }
+    
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        cardCount: cards.length,
+        symbolCount: totalSymbols,
+        pairErrors,
+        symbolFrequency,
+        unusedSymbols,
+        symbolsPerCard,
+        missingImages,
+        missingDescriptions,
+        overlaps
+    };
+}
+
 /**
  * Verify that the generated cards are correct
  * (any two cards share exactly one symbol)
@@ -78,44 +546,198 @@ export function getSymbolsPerCard(n = 7) {
  * @returns {boolean} True if valid
  */
 export function verifyCards(cards) {
-    for (let i = 0; i < cards.length; i++) {
-        for (let j = i + 1; j < cards.length; j++) {
-            const shared = cards[i].filter(s => cards[j].includes(s));
-            if (shared.length !== 1) {
-                console.error(`Cards ${i} and ${j} share ${shared.length} symbols:`, shared);
-                return false;
-            }
-        }
-    }
-    return true;
+    return findPairErrors(cards).length === 0;
 }
 
+// Relative symbol sizes (large, medium, tiny) mixed on each card per difficulty
+const DIFFICULTY_SIZE_TIERS = {
+    easy: [1],
+    medium: [1, 0.8, 0.6],
+    hard: [1, 0.7, 0.45]
+};
+
 /**
- * Generate deterministic but varied layouts for all cards
- * Uses seeded randomness for consistency
+ * Pick a size scale for every symbol slot on every card
+ * 
+ * Each card gets at least one symbol of every size tier, with the remaining
+ * slots drawn at random so the mix differs between cards. Tiers are handed
+ * to the symbols that have had them least often so far, so each symbol is
+ * shown at a range of sizes across the deck rather than always big or
+ * always small.
+ * 
  * @param {number} numCards - Number of cards
  * @param {number} symbolsPerCard - Symbols per card
- * @param {number} cardSize - Card size in pixels
- * @returns {Object[][]} Array of layouts for each card
+ * @param {string} difficulty - 'easy', 'medium' or 'hard'
+ * @param {number[][]|null} cards - Cards (symbol indices), used to balance sizes per symbol
+ * @param {number} seed - Deck seed
+ * @returns {number[][]} Scale for each slot of each card
  */
-export function generateAllLayouts(numCards, symbolsPerCard = 8, cardSize = 200) {
-    const layouts = [];
+function assignSizeScales(numCards, symbolsPerCard, difficulty, cards, seed) {
+    const tiers = DIFFICULTY_SIZE_TIERS[difficulty] || DIFFICULTY_SIZE_TIERS.easy;
+    const tierUsage = new Map(); // symbol -> times shown at each tier
+    const scales = [];
     
-    // Seeded random for consistent shuffling
-    const seededRandom = (seed) => {
-        const x = Math.sin(seed * 9999) * 10000;
-        return x - Math.floor(x);
-    };
+    for (let cardIndex = 0; cardIndex < numCards; cardIndex++) {
+        if (tiers.length === 1) {
+            scales.push(new Array(symbolsPerCard).fill(tiers[0]));
+            continue;
+        }
+        
+        const random = createRandom(deriveSeed(seed, SEED_SIZES, cardIndex));
+        
+        // Card mix: one of each tier, the rest random; smallest tiers are placed first
+        const mix = [];
+        for (let i = 0; i < symbolsPerCard; i++) {
+            mix.push(i < tiers.length ? i : Math.floor(random() * tiers.length));
+        }
+        mix.sort((a, b) => b - a);
+        
+        // Without cards, balance per slot instead of per symbol
+        const symbols = cards?.[cardIndex] || mix.map((_, i) => `slot-${i}`);
+        const unassigned = shuffle(symbols.map((_, i) => i), random);
+        const cardScales = new Array(symbolsPerCard).fill(tiers[0]);
+        
+        mix.forEach(tier => {
+            let bestPosition = 0;
+            let bestUsage = Infinity;
+            unassigned.forEach((slot, position) => {
+                const usage = tierUsage.get(symbols[slot])?.[tier] || 0;
+                if (usage < bestUsage) {
+                    bestUsage = usage;
+                    bestPosition = position;
+                }
+            });
+            
+            const [slot] = unassigned.splice(bestPosition, 1);
+            if (!tierUsage.has(symbols[slot])) {
+                tierUsage.set(symbols[slot], new Array(tiers.length).fill(0));
+            }
+            tierUsage.get(symbols[slot])[tier]++;
+            cardScales[slot] = tiers[tier];
+        });
+        
+        scales.push(cardScales);
+    }
     
-    // Seeded shuffle function
-    const seededShuffle = (array, seed) => {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(seededRandom(seed + i) * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    return scales;
+}
+
+// Best known radius ratio (symbol / container) for packing n equal circles in a circle
+const CIRCLE_PACKING_RATIOS = [0, 1, 0.5, 0.4641, 0.4142, 0.3702, 0.3333, 0.3333, 0.3026, 0.2768, 0.2623, 0.2549, 0.2482];
+
+/**
+ * Pack circles inside a circular container without overlap
+ * 
+ * Starts from random positions and repeatedly pushes overlapping pairs
+ * apart while keeping every circle inside the container. If the circles
+ * cannot be separated, all radii are shrunk a little and packing restarts,
+ * so the result is always collision-free.
+ * 
+ * @param {number[]} radii - Desired radius of each circle
+ * @param {number} containerRadius - Radius of the container
+ * @param {function} random - Random number generator returning [0, 1)
+ * @returns {{centers: {x: number, y: number}[], radii: number[]}} Centers relative to the container center and final radii
+ */
+function packCircles(radii, containerRadius, random) {
+    const maxAttempts = 30;
+    const maxIterations = 300;
+    let scale = 1;
+    let result = null;
+    
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const r = radii.map(radius => radius * scale);
+        const centers = r.map(radius => {
+            const angle = random() * Math.PI * 2;
+            const distance = Math.sqrt(random()) * Math.max(0, containerRadius - radius);
+            return { x: Math.cos(angle) * distance, y: Math.sin(angle) * distance };
+        });
+        result = { centers, radii: r };
+        
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            let overlapping = false;
+            
+            // Push overlapping pairs apart
+            for (let i = 0; i < centers.length; i++) {
+                for (let j = i + 1; j < centers.length; j++) {
+                    let dx = centers[j].x - centers[i].x;
+                    let dy = centers[j].y - centers[i].y;
+                    let distance = Math.hypot(dx, dy);
+                    const minDistance = r[i] + r[j];
+                    
+                    if (distance >= minDistance) continue;
+                    overlapping = true;
+                    
+                    if (distance < 1e-6) {
+                        const angle = random() * Math.PI * 2;
+                        dx = Math.cos(angle);
+                        dy = Math.sin(angle);
+                        distance = 1;
+                    }
+                    const push = (minDistance - distance) / 2 + 0.01;
+                    centers[i].x -= dx / distance * push;
+                    centers[i].y -= dy / distance * push;
+                    centers[j].x += dx / distance * push;
+                    centers[j].y += dy / distance * push;
+                }
+            }
+            
+            // Keep every circle inside the container
+            centers.forEach((center, i) => {
+                const distance = Math.hypot(center.x, center.y);
+                const maxDistance = Math.max(0, containerRadius - r[i]);
+                if (distance > maxDistance) {
+                    center.x *= maxDistance / distance;
+                    center.y *= maxDistance / distance;
+                }
+            });
+            
+            if (!overlapping) {
+                return result;
+            }
         }
-        return shuffled;
-    };
+        
+        scale *= 0.95;
+    }
+    
+    console.warn('Circle packing did not converge, symbols may overlap');
+    return result;
+}
+
+/**
+ * Check whether two layout positions overlap
+ * 
+ * Grid layouts are compared as square boxes. Circle layouts use each
+ * symbol's footprint circle around the box center (the inscribed circle
+ * unless the position has an explicit radius), since symbols rotate freely.
+ * 
+ * @param {Object} a - Layout position {x, y, size}
+ * @param {Object} b - Layout position {x, y, size}
+ * @param {string} mode - Layout mode ('grid' or 'circle')
+ * @returns {boolean} True if the symbols intersect
+ */
+export function positionsOverlap(a, b, mode = 'grid') {
+    const epsilon = 0.01; // Ignore touching edges and rounding noise
+    
+    if (mode === 'circle') {
+        const distance = Math.hypot(
+            (a.x + a.size / 2) - (b.x + b.size / 2),
+            (a.y + a.size / 2) - (b.y + b.size / 2)
+        );
+        return distance + epsilon < (a.radius ?? a.size / 2) + (b.radius ?? b.size / 2);
+    }
+    
+    return a.x + a.size - epsilon > b.x &&
+        b.x + b.size - epsilon > a.x &&
+        a.y + a.size - epsilon > b.y &&
+        b.y + b.size - epsilon > a.y;
+}
+
+/**
+ * Generate grid layouts: equal-sized cells, shuffled per card
+ * Smaller symbols are placed at a random offset inside their cell
+ */
+function generateGridLayouts(numCards, symbolsPerCard, cardSize, sizeScales, seed) {
+    const layouts = [];
     
     // Calculate grid dimensions based on number of symbols
     const getGridDimensions = (n) => {
@@ -159,11 +781,118 @@ export function generateAllLayouts(numCards, symbolsPerCard = 8, cardSize = 200)
     
     // For each card, shuffle the positions
     for (let cardIndex = 0; cardIndex < numCards; cardIndex++) {
-        // Use card index as seed for consistent but different shuffles
-        const shuffledPositions = seededShuffle(basePositions, cardIndex * 137);
-        layouts.push(shuffledPositions);
+        // Each card gets its own stream for consistent but different shuffles
+        const random = createRandom(deriveSeed(seed, SEED_GRID, cardIndex));
+        const shuffledPositions = shuffle(basePositions, random);
+        layouts.push(shuffledPositions.map((pos, i) => {
+            const scale = sizeScales[cardIndex][i];
+            if (scale === 1) return pos;
+            
+            const size = pos.size * scale;
+            const slack = pos.size - size;
+            return {
+                ...pos,
+                x: pos.x + random() * slack,
+                y: pos.y + random() * slack,
+                size
+            };
+        }));
+    }
+    
+    return layouts;
+}
+
+/**
+ * Generate circle layouts: symbols scattered inside a round card
+ * with random position and rotation, packed without overlap
+ */
+function generateCircleLayouts(numCards, symbolsPerCard, cardSize, sizeScales, seed) {
+    const layouts = [];
+    
+    const center = cardSize / 2;
+    const padding = cardSize * 0.04;
+    const containerRadius = center - padding;
+    
+    // Start a little below the best known packing so random packing converges
+    const ratio = CIRCLE_PACKING_RATIOS[symbolsPerCard] ?? Math.sqrt(0.7 / symbolsPerCard);
+    const symbolRadius = containerRadius * ratio * 0.92;
+    
+    for (let cardIndex = 0; cardIndex < numCards; cardIndex++) {
+        const random = createRandom(deriveSeed(seed, SEED_CIRCLE, cardIndex));
+        
+        // Grow mixed sizes so they cover the same area as equal symbols,
+        // capping the largest at half the card
+        const scales = sizeScales[cardIndex];
+        const areaBoost = Math.sqrt(symbolsPerCard / scales.reduce((sum, scale) => sum + scale * scale, 0));
+        const radii = scales.map(scale => Math.min(symbolRadius * scale * areaBoost, containerRadius * 0.5));
+        const packed = packCircles(radii, containerRadius, random);
+        
+        layouts.push(packed.centers.map((point, i) => ({
+            x: center + point.x - packed.radii[i],
+            y: center + point.y - packed.radii[i],
+            size: packed.radii[i] * 2,
+            radius: packed.radii[i], // Collision footprint around the box center
+            rotation: Math.round(random() * 360)
+        })));
     }
     
     return layouts;
 }
 
+/**
+ * Fit each symbol's visible subject to its layout slot
+ * 
+ * Positions get a `crop` (the subject bounds) which renderers use to draw
+ * only that part of the image, scaled to fit the symbol box. In grid mode
+ * the box is unchanged, so the subject simply fills its cell. In circle mode
+ * the box is sized so the subject's silhouette radius matches the packed
+ * slot radius, which keeps it inside its slot at any rotation.
+ * 
+ * @param {Object[][]} layouts - Layouts to update
+ * @param {number[][]} cards - Cards (symbol indices)
+ * @param {Object[]} bounds - Subject bounds per symbol (see images.js analyzeImage)
+ * @returns {Object[][]} Updated layouts
+ */
+function applySubjectBounds(layouts, cards, bounds) {
+    return layouts.map((layout, cardIndex) => layout.map((pos, i) => {
+        const crop = bounds[cards[cardIndex][i]];
+        if (!crop) return pos;
+        
+        if (pos.radius === undefined) {
+            return { ...pos, crop };
+        }
+        
+        const size = pos.radius / crop.radius;
+        return {
+            ...pos,
+            x: pos.x + (pos.size - size) / 2,
+            y: pos.y + (pos.size - size) / 2,
+            size,
+            crop
+        };
+    }));
+}
+
+/**
+ * Generate deterministic but varied layouts for all cards
+ * Uses the deck seed so the same seed always reproduces the same layouts
+ * @param {number} numCards - Number of cards
+ * @param {number} symbolsPerCard - Symbols per card
+ * @param {number} cardSize - Card size in pixels
+ * @param {Object} options - Layout options
+ * @param {string} options.mode - 'grid' for square cards, 'circle' for round cards
+ * @param {string} options.difficulty - 'easy' (equal sizes), 'medium' or 'hard' (mixed sizes)
+ * @param {number[][]} options.cards - Cards (symbol indices), so each symbol gets a range of sizes
+ * @param {number} options.seed - Deck seed
+ * @param {Object[]} options.bounds - Visible subject bounds per symbol, for tighter packing (requires cards)
+ * @returns {Object[][]} Array of layouts for each card
+ */
+export function generateAllLayouts(numCards, symbolsPerCard = 8, cardSize = 200, { mode = 'grid', difficulty = 'easy', cards = null, seed = 0, bounds = null } = {}) {
+    const sizeScales = assignSizeScales(numCards, symbolsPerCard, difficulty, cards, seed);
+    
+    const layouts = mode === 'circle'
+        ? generateCircleLayouts(numCards, symbolsPerCard, cardSize, sizeScales, seed)
+        : generateGridLayouts(numCards, symbolsPerCard, cardSize, sizeScales, seed);
+    
+    return bounds && cards ? applySubjectBounds(layouts, cards, bounds) : layouts;
+}
@@ -0,0 +1,55 @@
+/**
+ * Algorithm checks, run with `npm test` (Node's built-in test runner)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as Algorithm from './algorithm.js';
+
+const ORDERS = [2, 3, 4, 5, 7, 8, 9];
+
+/**
+ * Count the symbols two cards share
+ * @param {number[]} a - Card
+ * @param {number[]} b - Card
+ * @returns {number}
+ */
+function sharedSymbols(a, b) {
+    const symbols = new Set(a);
+    return b.filter(symbol => symbols.has(symbol)).length;
+}
+
+// Prime orders use plain modular arithmetic; 4, 8 and 9 need GF(p^k)
+for (const order of [5, 7, 4, 8, 9]) {
+    test(`generateCards(${order}) gives every pair of cards exactly one shared symbol`, () => {
+        const cards = Algorithm.generateCards(order);
+        const total = order * order + order + 1;
+        
+        assert.equal(cards.length, total);
+        cards.forEach(card => {
+            assert.equal(new Set(card).size, order + 1);
+            card.forEach(symbol => assert.ok(symbol >= 0 && symbol < total));
+        });
+        for (let a = 0; a < cards.length; a++) {
+            for (let b = a + 1; b < cards.length; b++) {
+                assert.equal(sharedSymbols(cards[a], cards[b]), 1, `cards ${a} and ${b}`);
+            }
+        }
+    });
+}
+
+test('suggestDeckSize prefers the full 57-card deck for 57 or 60 images', () => {
+    for (const imageCount of [57, 60]) {
+        assert.deepEqual(Algorithm.suggestDeckSize(imageCount, ORDERS), { order: 7, cardCount: 57, symbolCount: 57 });
+    }
+});
+
+test('suggestDeckSize prefers a full smaller deck over a few cards of a larger order', () => {
+    assert.deepEqual(Algorithm.suggestDeckSize(35, ORDERS), { order: 5, cardCount: 31, symbolCount: 31 });
+    assert.deepEqual(Algorithm.suggestDeckSize(40, ORDERS), { order: 5, cardCount: 31, symbolCount: 31 });
+    assert.deepEqual(Algorithm.suggestDeckSize(25, ORDERS), { order: 4, cardCount: 21, symbolCount: 21 });
+});
+
+test('suggestDeckSize returns null when there are too few images', () => {
+    assert.equal(Algorithm.suggestDeckSize(2, ORDERS), null);
+});
@@ -0,0 +1,205 @@
+/**
+ * Deck Bundles (.spotit files)
+ * A zip with a versioned manifest.json describing the whole deck, plus one
+ * file per symbol image under images/. Used to move a deck to another
+ * machine or hand it to someone else.
+ */
+
+import JSZip from 'jszip';
+import * as Algorithm from './algorithm.js';
+
+export const BUNDLE_EXTENSION = '.spotit';
+const BUNDLE_FORMAT = 'spotit-deck';
+const BUNDLE_VERSION = 1; // Bump when the manifest changes; keep reading older versions
+const MANIFEST_FILE = 'manifest.json';
+
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg'
+};
+
+/**
+ * Error for a bundle that can't be imported
+ * @param {string} message - What is wrong, for the user
+ * @returns {Error}
+ */
+function bundleError(message) {
+    const error = new Error(message);
+    error.name = 'BundleError';
+    return error;
+}
+
+/**
+ * Build a deck bundle
+ * @param {string} name - Deck name
+ * @param {Object} savedState - The deck's saved state (see main.js saveState)
+ * @param {(string|null)[]} images - Symbol image data URLs
+ * @returns {Promise<Blob>} Zip file
+ */
+export async function createBundle(name, savedState, images) {
+    const zip = new JSZip();
+    const symbols = [];
+    
+    for (let i = 0; i < savedState.symbolCount; i++) {
+        const match = images[i]?.match(/^data:([^;,]+);base64,(.*)$/);
+        let image = null;
+        if (match) {
+            image = `images/${i}.${IMAGE_EXTENSIONS[match[1]] || 'png'}`;
+            zip.file(image, match[2], { base64: true });
+        }
+        symbols.push({
+            description: savedState.descriptions[i] || '',
+            prompt: savedState.customPrompts?.[i] || null,
+            image,
+            bounds: savedState.imageBounds?.[i] || null
+        });
+    }
+    
+    const manifest = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        name,
+        deck: {
+            order: savedState.order,
+            cardCount: savedState.cardCount,
+            symbolCount: savedState.symbolCount,
+            seed: savedState.seed,
+            cards: savedState.cards,
+            layouts: savedState.layouts,
+            layoutMode: savedState.layoutMode,
+            difficulty: savedState.difficulty
+        },
+        style: {
+            theme: savedState.theme || '',
+            promptTemplate: savedState.promptTemplate || null,
+            promptModifier: savedState.promptModifier || 'none',
+            imageStyle: savedState.imageStyle || null
+        },
+        symbols
+    };
+    zip.file(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+    
+    return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+}
+
+/**
+ * Check that a manifest describes a deck this app can print
+ * @param {Object} manifest - Parsed manifest.json
+ * @throws {Error} If the manifest is incompatible or inconsistent
+ */
+function validateManifest(manifest) {
+    if (manifest?.format !== BUNDLE_FORMAT) {
+        throw bundleError('This file is not a Spot It deck bundle.');
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+        throw bundleError('The deck bundle has an unknown format version.');
+    }
+    if (manifest.version > BUNDLE_VERSION) {
+        throw bundleError(`This deck was exported by a newer version of the app (bundle version ${manifest.version}; this version reads up to ${BUNDLE_VERSION}). Update the app to import it.`);
+    }
+    
+    const { deck, symbols } = manifest;
+    if (!deck || !Array.isArray(symbols)) {
+        throw bundleError('The deck bundle is missing its deck or symbol list.');
+    }
+    if (!Algorithm.isValidOrder(deck.order) || Algorithm.getTotalSymbols(deck.order) > 91) {
+        throw bundleError(`The deck bundle has an unsupported deck size (order ${deck.order}).`);
+    }
+    if (!Array.isArray(deck.cards) || deck.cards.length === 0 || symbols.length !== deck.symbolCount) {
+        throw bundleError('The deck bundle is corrupt: its card and symbol counts do not match.');
+    }
+    
+    if (deck.seed != null && !(Number.isInteger(deck.seed) && deck.seed >= 0)) {
+        throw bundleError('The deck bundle is corrupt: its deck seed is not a whole number.');
+    }
+    
+    const symbolsPerCard = Algorithm.getSymbolsPerCard(deck.order);
+    const validCards = deck.cards.every(card =>
+        Array.isArray(card) &&
+        card.length === symbolsPerCard &&
+        card.every(symbol => Number.isInteger(symbol) && symbol >= 0 && symbol < deck.symbolCount)
+    );
+    if (!validCards || !Algorithm.verifyCards(deck.cards)) {
+        throw bundleError('The deck bundle is corrupt: some cards do not share exactly one symbol.');
+    }
+}
+
+/**
+ * Read a deck bundle
+ * @param {File|Blob} file - .spotit file
+ * @returns {Promise<{name: string, savedState: Object, images: (string|null)[]}>}
+ *   The deck in the shape main.js saves, and its images as data URLs
+ * @throws {Error} With a message for the user if the bundle is corrupt or incompatible
+ */
+export async function readBundle(file) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(file);
+    } catch (e) {
+        throw bundleError('This file is not a deck bundle, or it is damaged (could not open it as a zip).');
+    }
+    
+    const manifestFile = zip.file(MANIFEST_FILE);
+    if (!manifestFile) {
+        throw bundleError('The deck bundle is corrupt: it has no manifest.json.');
+    }
+    
+    let manifest;
+    try {
+        manifest = JSON.parse(await manifestFile.async('string'));
+    } catch (e) {
+        throw bundleError('The deck bundle is corrupt: its manifest.json is not valid JSON.');
+    }
+    validateManifest(manifest);
+    
+    const { deck, style = {}, symbols } = manifest;
+    const images = await Promise.all(symbols.map(async (symbol) => {
+        if (!symbol.image) return null;
+        const imageFile = zip.file(symbol.image);
+        if (!imageFile) {
+            throw bundleError(`The deck bundle is corrupt: ${symbol.image} is missing.`);
+        }
+        const extension = symbol.image.split('.').pop().toLowerCase();
+        const mimeType = Object.keys(IMAGE_EXTENSIONS).find(type => IMAGE_EXTENSIONS[type] === extension) || 'image/png';
+        return `data:${mimeType};base64,${await imageFile.async('base64')}`;
+    }));
+    
+    const descriptions = symbols.map(symbol => symbol.description || '');
+    const hasImages = images.some(Boolean);
+    let currentStep = 1;
+    if (images.every(Boolean)) {
+        currentStep = 4;
+    } else if (hasImages) {
+        currentStep = 3;
+    } else if (descriptions.some(Boolean)) {
+        currentStep = 2;
+    }
+    
+    const savedState = {
+        // Finished decks open on the print step, others where work continues
+        currentStep,
+        symbolCount: deck.symbolCount,
+        order: deck.order,
+        cardCount: deck.cardCount || deck.cards.length,
+        descriptions,
+        customPrompts: symbols.map(symbol => symbol.prompt || null),
+        theme: style.theme || '',
+        promptTemplate: style.promptTemplate || null,
+        promptModifier: style.promptModifier || 'none',
+        imageStyle: style.imageStyle || null,
+        cards: deck.cards,
+        layouts: Array.isArray(deck.layouts) && deck.layouts.length === deck.cards.length ? deck.layouts : [],
+        imageBounds: symbols.map(symbol => symbol.bounds || null),
+        layoutMode: deck.layoutMode || 'grid',
+        difficulty: deck.difficulty || 'easy',
+        seed: deck.seed,
+        imageCount: images.filter(Boolean).length,
+        hasImages
+    };
+    
+    return { name: manifest.name || 'Imported Deck', savedState, images };
+}
@@ -0,0 +1,174 @@
+/**
+ * Undo/Redo History
+ * Deck edits are recorded per project, so they survive a reload. An entry
+ * holds the other side of its edit: applying it swaps those values with the
+ * current ones, which turns an undo entry into its redo entry and back.
+ * { label, fields: { stateField: value }, images: { symbolIndex: slot } }
+ * Replaced images are kept in storage.js history slots, not in localStorage.
+ */
+
+import { getActiveProjectId } from './projects.js';
+import { deleteHistoryImages } from './storage.js';
+
+const STORAGE_KEY_PREFIX = 'spotit_history_';
+const MAX_ENTRIES = 50;
+
+let busy = false; // An undo or redo is being applied
+
+/**
+ * localStorage key of a project's history
+ * @param {string} projectId - Project ID
+ * @returns {string}
+ */
+function historyKey(projectId) {
+    return `${STORAGE_KEY_PREFIX}${projectId}`;
+}
+
+/**
+ * Read a project's history
+ * @param {string} projectId - Project ID
+ * @returns {{undo: Object[], redo: Object[]}}
+ */
+function loadHistory(projectId) {
+    try {
+        return JSON.parse(localStorage.getItem(historyKey(projectId))) || { undo: [], redo: [] };
+    } catch (e) {
+        return { undo: [], redo: [] };
+    }
+}
+
+/**
+ * Write a project's history, dropping the oldest entries if localStorage is full
+ * @param {{undo: Object[], redo: Object[]}} history - History
+ * @param {string} projectId - Project ID
+ */
+function saveHistory(history, projectId) {
+    for (;;) {
+        try {
+            localStorage.setItem(historyKey(projectId), JSON.stringify(history));
+            return;
+        } catch (error) {
+            const dropped = history.undo.shift() || history.redo.shift();
+            if (!dropped) return;
+            forgetEntries([dropped], projectId);
+        }
+    }
+}
+
+/**
+ * Delete the images kept for entries that are gone
+ * @param {Object[]} entries - Removed entries
+ * @param {string} projectId - Project ID
+ */
+function forgetEntries(entries, projectId) {
+    const slots = entries.flatMap(entry => Object.values(entry.images));
+    deleteHistoryImages(slots, projectId);
+}
+
+/**
+ * Make a name for a history image slot
+ * @returns {string}
+ */
+export function createImageSlot() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Record an edit of the open project
+ * Anything that could be redone is dropped.
+ * @param {string} label - What the edit did, e.g. "description edit"
+ * @param {Object} fields - State fields as they were before the edit
+ * @param {Object<number, string>} images - Symbol index to the slot holding its previous image
+ */
+export function recordEdit(label, fields, images = {}) {
+    const projectId = getActiveProjectId();
+    const history = loadHistory(projectId);
+    
+    forgetEntries(history.redo, projectId);
+    history.redo = [];
+    history.undo.push({ label, fields, images });
+    if (history.undo.length > MAX_ENTRIES) {
+        forgetEntries(history.undo.splice(0, history.undo.length - MAX_ENTRIES), projectId);
+    }
+    saveHistory(history, projectId);
+}
+
+/**
+ * Move the newest entry of one stack to the other, applying it on the way
+ * @param {string} from - 'undo' or 'redo'
+ * @param {string} to - The other stack
+ * @param {function} apply - Async, swaps the entry's fields and images with the current ones
+ * @returns {Promise<Object|null>} The applied entry, or null if there was nothing to apply
+ */
+async function step(from, to, apply) {
+    if (busy) return null;
+    
+    const projectId = getActiveProjectId();
+    const history = loadHistory(projectId);
+    const entry = history[from].pop();
+    if (!entry) return null;
+    
+    busy = true;
+    try {
+        await apply(entry);
+        history[to].push(entry);
+    } finally {
+        // An entry that failed half way can't be trusted either way, so it is dropped
+        saveHistory(history, projectId);
+        busy = false;
+    }
+    return entry;
+}
+
+/**
+ * Undo the newest edit of the open project
+ * @param {function} apply - Async, swaps the entry's fields and images with the current ones
+ * @returns {Promise<Object|null>} The undone entry
+ */
+export function undo(apply) {
+    return step('undo', 'redo', apply);
+}
+
+/**
+ * Redo the newest undone edit of the open project
+ * @param {function} apply - Async, swaps the entry's fields and images with the current ones
+ * @returns {Promise<Object|null>} The redone entry
+ */
+export function redo(apply) {
+    return step('redo', 'undo', apply);
+}
+
+/**
+ * What undo and redo would do next in the open project
+ * @returns {{undo: string|null, redo: string|null}} Entry labels
+ */
+export function getHistoryStatus() {
+    const history = loadHistory(getActiveProjectId());
+    return {
+        undo: history.undo.at(-1)?.label || null,
+        redo: history.redo.at(-1)?.label || null
+    };
+}
+
+/**
+ * Forget a project's history, e.g. when its images are replaced wholesale
+ * @param {string} projectId - Project ID (defaults to the open project)
+ */
+export function clearHistory(projectId = getActiveProjectId()) {
+    const history = loadHistory(projectId);
+    forgetEntries([...history.undo, ...history.redo], projectId);
+    localStorage.removeItem(historyKey(projectId));
+}
+
+/**
+ * Copy a project's history, e.g. when duplicating a project
+ * Its images are copied with the project's other images (see storage.js copyProjectImages).
+ * @param {string} fromId - Source project ID
+ * @param {string} toId - Target project ID
+ */
+export function copyHistory(fromId, toId) {
+    const saved = localStorage.getItem(historyKey(fromId));
+    if (saved) {
+        localStorage.setItem(historyKey(toId), saved);
+    }
+}
@@ -0,0 +1,411 @@
+/**
+ * Client-side Image Processing
+ * Works on data URLs with an offscreen canvas, no server round-trips.
+ */
+
+// Analysis runs on a downscaled copy; silhouettes don't need full resolution
+const ANALYSIS_SIZE = 128;
+
+// Pixels this transparent or this close to white count as background
+const ALPHA_THRESHOLD = 16;
+const WHITE_THRESHOLD = 240;
+
+// Background removal: near-white pixels reachable from the border are keyed out,
+// and light pixels on the subject's edge fade out instead of leaving a white fringe
+const BACKGROUND_THRESHOLD = 235;
+const FRINGE_THRESHOLD = 180;
+
+// Longest side of the small copies the UI shows (grid cells, preview cards, variants)
+export const THUMBNAIL_SIZE = 256;
+
+// Longest side of stored masters: enough for a symbol as large as a whole PDF card
+// (about 3.6 in) at 300 DPI with room to spare. Larger uploads are scaled down.
+export const MASTER_SIZE = 1536;
+
+/**
+ * Load a data URL into an Image element
+ * @param {string} dataUrl - Image data URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(dataUrl) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Image load failed'));
+        img.src = dataUrl;
+    });
+}
+
+/**
+ * Find the visible subject of an image
+ *
+ * Returns the subject's bounding box as fractions of the image width and
+ * height, its pixel aspect ratio, and its silhouette radius: the furthest
+ * subject pixel from the box center, relative to the box's longer side.
+ * The radius lets round layouts rotate a symbol freely without its visible
+ * shape leaving its slot (0.5 for a disc, up to ~0.71 for a full square).
+ *
+ * @param {string} dataUrl - Image data URL
+ * @returns {Promise<{x: number, y: number, width: number, height: number, aspect: number, radius: number}>}
+ */
+export async function analyzeImage(dataUrl) {
+    const img = await loadImage(dataUrl);
+    const scale = Math.min(1, ANALYSIS_SIZE / Math.max(img.width, img.height));
+    const width = Math.max(1, Math.round(img.width * scale));
+    const height = Math.max(1, Math.round(img.height * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    const isSubject = (offset) => data[offset + 3] > ALPHA_THRESHOLD && !(
+        data[offset] > WHITE_THRESHOLD &&
+        data[offset + 1] > WHITE_THRESHOLD &&
+        data[offset + 2] > WHITE_THRESHOLD
+    );
+
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (isSubject((y * width + x) * 4)) {
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+    }
+
+    // Blank image: treat the whole square as the subject
+    if (maxX < 0) {
+        return { x: 0, y: 0, width: 1, height: 1, aspect: img.width / img.height, radius: Math.SQRT1_2 };
+    }
+
+    // Grow by a pixel so anti-aliased edges are not clipped
+    minX = Math.max(0, minX - 1);
+    minY = Math.max(0, minY - 1);
+    maxX = Math.min(width - 1, maxX + 1);
+    maxY = Math.min(height - 1, maxY + 1);
+
+    const boxWidth = maxX - minX + 1;
+    const boxHeight = maxY - minY + 1;
+    const centerX = minX + boxWidth / 2;
+    const centerY = minY + boxHeight / 2;
+
+    let maxDistance = 0;
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            if (isSubject((y * width + x) * 4)) {
+                // Measure to the far corner of the pixel
+                const dx = Math.abs(x + 0.5 - centerX) + 0.5;
+                const dy = Math.abs(y + 0.5 - centerY) + 0.5;
+                maxDistance = Math.max(maxDistance, Math.hypot(dx, dy));
+            }
+        }
+    }
+
+    const longSide = Math.max(boxWidth, boxHeight);
+    return {
+        x: minX / width,
+        y: minY / height,
+        width: boxWidth / width,
+        height: boxHeight / height,
+        aspect: (boxWidth / width * img.width) / (boxHeight / height * img.height),
+        radius: Math.max(0.5, Math.min(Math.SQRT1_2, maxDistance / longSide))
+    };
+}
+
+/**
+ * Remove a plain white background and trim to the subject
+ *
+ * Near-white pixels connected to the image border become transparent, so
+ * white areas inside the subject (eyes, highlights) are kept. The subject is
+ * then centred on a transparent square with the same padding on every side,
+ * so every symbol fills its layout slot the same way.
+ *
+ * @param {string} dataUrl - Image data URL
+ * @param {number} padding - Margin on each side, as a fraction of the output size
+ * @returns {Promise<string>} PNG data URL (the original if the image is blank)
+ */
+export async function removeBackground(dataUrl, padding = 0.04) {
+    const img = await loadImage(dataUrl);
+    const { width, height } = img;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const { data } = imageData;
+    
+    const lightness = (i) => Math.min(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+    const isBackground = (i) => data[i * 4 + 3] <= ALPHA_THRESHOLD || lightness(i) >= BACKGROUND_THRESHOLD;
+    
+    // Flood fill the background inwards from every border pixel
+    const background = new Uint8Array(width * height);
+    const queue = new Int32Array(width * height);
+    let head = 0, tail = 0;
+    const visit = (i) => {
+        if (!background[i] && isBackground(i)) {
+            background[i] = 1;
+            queue[tail++] = i;
+        }
+    };
+    for (let x = 0; x < width; x++) {
+        visit(x);
+        visit((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        visit(y * width);
+        visit(y * width + width - 1);
+    }
+    while (head < tail) {
+        const i = queue[head++];
+        const x = i % width;
+        if (x > 0) visit(i - 1);
+        if (x < width - 1) visit(i + 1);
+        if (i >= width) visit(i - width);
+        if (i < width * (height - 1)) visit(i + width);
+    }
+    
+    const touchesBackground = (i) => {
+        const x = i % width;
+        return (x > 0 && background[i - 1]) || (x < width - 1 && background[i + 1]) ||
+            (i >= width && background[i - width]) || (i < width * (height - 1) && background[i + width]);
+    };
+    
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    for (let i = 0; i < width * height; i++) {
+        if (background[i]) {
+            data[i * 4 + 3] = 0;
+            continue;
+        }
+        
+        const x = i % width, y = (i - x) / width;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+        
+        const light = lightness(i);
+        if (light > FRINGE_THRESHOLD && touchesBackground(i)) {
+            const fade = (BACKGROUND_THRESHOLD - light) / (BACKGROUND_THRESHOLD - FRINGE_THRESHOLD);
+            data[i * 4 + 3] = Math.round(data[i * 4 + 3] * fade);
+        }
+    }
+    
+    // Blank image: nothing to trim
+    if (maxX < 0) return dataUrl;
+    
+    ctx.putImageData(imageData, 0, 0);
+    
+    const boxWidth = maxX - minX + 1;
+    const boxHeight = maxY - minY + 1;
+    const side = Math.ceil(Math.max(boxWidth, boxHeight) / (1 - 2 * padding));
+    
+    const output = document.createElement('canvas');
+    output.width = side;
+    output.height = side;
+    output.getContext('2d').drawImage(
+        canvas, minX, minY, boxWidth, boxHeight,
+        Math.round((side - boxWidth) / 2), Math.round((side - boxHeight) / 2), boxWidth, boxHeight
+    );
+    return output.toDataURL('image/png');
+}
+
+/**
+ * Get the rectangle a cropped subject occupies inside a square symbol box
+ * (scaled to fit and centered, like object-fit: contain)
+ * @param {Object|null} crop - Subject bounds from analyzeImage, or null for the whole image
+ * @param {number} size - Symbol box size
+ * @returns {{x: number, y: number, width: number, height: number}} Rectangle relative to the box
+ */
+export function getCropRect(crop, size) {
+    const aspect = crop?.aspect ?? 1;
+    const width = aspect >= 1 ? size : size * aspect;
+    const height = aspect >= 1 ? size / aspect : size;
+    return { x: (size - width) / 2, y: (size - height) / 2, width, height };
+}
+
+/**
+ * Crop an image to its subject bounds
+ * @param {string} dataUrl - Image data URL
+ * @param {Object} crop - Subject bounds from analyzeImage
+ * @returns {Promise<string>} PNG data URL of the cropped region
+ */
+export async function cropImage(dataUrl, crop) {
+    const img = await loadImage(dataUrl);
+    const sx = Math.round(crop.x * img.width);
+    const sy = Math.round(crop.y * img.height);
+    const sw = Math.max(1, Math.round(crop.width * img.width));
+    const sh = Math.max(1, Math.round(crop.height * img.height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = sw;
+    canvas.height = sh;
+    canvas.getContext('2d').drawImage(img, sx, sy, sw, sh, 0, 0, sw, sh);
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Scale an image down so its longer side is at most maxSize (never up)
+ * @param {string} dataUrl - Image data URL
+ * @param {number} maxSize - Longest side in pixels
+ * @returns {Promise<string>} PNG data URL, or the original if it is already small enough
+ */
+export async function resizeImage(dataUrl, maxSize) {
+    const img = await loadImage(dataUrl);
+    const scale = maxSize / Math.max(img.width, img.height);
+    if (scale >= 1) return dataUrl;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.width * scale));
+    canvas.height = Math.max(1, Math.round(img.height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Make the small copy of a symbol image that the UI shows
+ * @param {string} dataUrl - Image data URL
+ * @returns {Promise<string>} PNG data URL
+ */
+export function createSymbolThumbnail(dataUrl) {
+    return resizeImage(dataUrl, THUMBNAIL_SIZE);
+}
+
+/**
+ * Build a small preview of a deck: its first four symbols in a 2x2 grid
+ * @param {(string|null)[]} images - Symbol image data URLs
+ * @param {number} size - Thumbnail width and height in pixels
+ * @returns {Promise<string|null>} PNG data URL, or null if there are no images
+ */
+export async function createThumbnail(images, size = 160) {
+    const sources = images.filter(Boolean).slice(0, 4);
+    if (sources.length === 0) return null;
+    
+    const loaded = await Promise.all(sources.map(loadImage));
+    const columns = loaded.length === 1 ? 1 : 2;
+    const cell = size / columns;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    
+    loaded.forEach((img, i) => {
+        // Fit each image inside its cell, centered
+        const scale = Math.min(cell / img.width, cell / img.height);
+        const w = img.width * scale;
+        const h = img.height * scale;
+        const x = (i % columns) * cell + (cell - w) / 2;
+        const y = Math.floor(i / columns) * cell + (cell - h) / 2;
+        ctx.drawImage(img, x, y, w, h);
+    });
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Compute a visual signature for near-duplicate detection
+ *
+ * Combines a 64-bit difference hash (overall shape and shading) with a
+ * 64-bin colour histogram of the subject pixels (background ignored).
+ *
+ * @param {string} dataUrl - Image data URL
+ * @param {Object|null} crop - Subject bounds from analyzeImage, to ignore empty margins
+ * @returns {Promise<{hash: Uint8Array, histogram: Float32Array}>}
+ */
+export async function computeImageSignature(dataUrl, crop = null) {
+    const img = await loadImage(dataUrl);
+    const sx = crop ? crop.x * img.width : 0;
+    const sy = crop ? crop.y * img.height : 0;
+    const sw = crop ? crop.width * img.width : img.width;
+    const sh = crop ? crop.height * img.height : img.height;
+
+    const draw = (width, height) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(img, sx, sy, sw, sh, 0, 0, width, height);
+        return ctx.getImageData(0, 0, width, height).data;
+    };
+
+    // Difference hash: is each pixel brighter than its right-hand neighbour?
+    const small = draw(9, 8);
+    const gray = (x, y) => {
+        const offset = (y * 9 + x) * 4;
+        return small[offset] * 0.299 + small[offset + 1] * 0.587 + small[offset + 2] * 0.114;
+    };
+    const hash = new Uint8Array(64);
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash[y * 8 + x] = gray(x, y) > gray(x + 1, y) ? 1 : 0;
+        }
+    }
+
+    // Colour histogram: 4 levels per channel
+    const pixels = draw(32, 32);
+    const histogram = new Float32Array(64);
+    let total = 0;
+    for (let offset = 0; offset < pixels.length; offset += 4) {
+        const r = pixels[offset], g = pixels[offset + 1], b = pixels[offset + 2];
+        if (r > WHITE_THRESHOLD && g > WHITE_THRESHOLD && b > WHITE_THRESHOLD) continue;
+        histogram[(r >> 6) * 16 + (g >> 6) * 4 + (b >> 6)]++;
+        total++;
+    }
+    if (total > 0) {
+        histogram.forEach((count, i) => { histogram[i] = count / total; });
+    }
+
+    return { hash, histogram };
+}
+
+/**
+ * Compare two image signatures
+ * @param {Object} a - Signature from computeImageSignature
+ * @param {Object} b - Signature from computeImageSignature
+ * @returns {number} Similarity from 0 (unrelated) to 1 (identical)
+ */
+export function compareSignatures(a, b) {
+    let matchingBits = 0;
+    for (let i = 0; i < 64; i++) {
+        if (a.hash[i] === b.hash[i]) matchingBits++;
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < 64; i++) {
+        overlap += Math.min(a.histogram[i], b.histogram[i]);
+    }
+
+    return (matchingBits / 64 + overlap) / 2;
+}
+
+/**
+ * Find pairs of images that look too alike
+ * @param {(Object|null)[]} signatures - Signature per symbol (null for missing images)
+ * @param {number} threshold - Minimum similarity to flag
+ * @returns {{a: number, b: number, similarity: number}[]} Flagged pairs, most similar first
+ */
+export function findSimilarPairs(signatures, threshold = 0.82) {
+    const pairs = [];
+    for (let a = 0; a < signatures.length; a++) {
+        if (!signatures[a]) continue;
+        for (let b = a + 1; b < signatures.length; b++) {
+            if (!signatures[b]) continue;
+            const similarity = compareSignatures(signatures[a], signatures[b]);
+            if (similarity >= threshold) {
+                pairs.push({ a, b, similarity });
+            }
+        }
+    }
+    return pairs.sort((x, y) => y.similarity - x.similarity);
+}
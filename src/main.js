@@ -5,73 +5,145 @@
 import './styles.css';
 import * as Algorithm from './algorithm.js';
 import * as API from './openai.js';
+import * as Bundle from './bundle.js';
+import * as History from './history.js';
 import * as PDF from './pdf.js';
+import * as Images from './images.js';
+import * as Projects from './projects.js';
+import * as Providers from './providers.js';
+import * as Storage from './storage.js';
+import * as Upload from './upload.js';
 
 // Symbol count to order mapping
 const SYMBOL_COUNT_TO_ORDER = {
     7: 2,   // 7 symbols, 7 cards, 3 per card
     13: 3,  // 13 symbols, 13 cards, 4 per card
+    21: 4,  // 21 symbols, 21 cards, 5 per card
     31: 5,  // 31 symbols, 31 cards, 6 per card
-    57: 7   // 57 symbols, 57 cards, 8 per card
+    57: 7,  // 57 symbols, 57 cards, 8 per card
+    73: 8,  // 73 symbols, 73 cards, 9 per card
+    91: 9   // 91 symbols, 91 cards, 10 per card
 };
 
+// Printed card size in inches for browser printing (3 x 3 cards per page, see .print-cards-grid)
+const PRINT_CARD_SIZE = 2.5;
+
+// Deck fields covered by undo/redo (images are swapped through storage.js history slots)
+const HISTORY_FIELDS = ['order', 'cardCount', 'descriptions', 'customPrompts', 'layoutMode', 'difficulty', 'seed'];
+
+/**
+ * Usage totals for a new project
+ * @returns {{promptTokens: number, completionTokens: number, images: number, credits: number, cost: number, imageCost: number}}
+ */
+function emptyUsage() {
+    return { promptTokens: 0, completionTokens: 0, images: 0, credits: 0, cost: 0, imageCost: 0 };
+}
+
 // State
 const state = {
     currentStep: 1,
     symbolCount: 57,
     order: 7,
+    cardCount: 57,
     descriptions: [],
-    images: [],
+    images: [],         // Print-resolution masters
+    thumbnails: [],     // Small copies of the images, for the UI
+    imageBounds: [],
+    variants: [],       // Earlier images per symbol (this session only)
+    customPrompts: [],  // Edited image prompts per symbol
+    descriptionsBeforeEdit: [], // Descriptions when a symbol input got focus, for undo
+    theme: '',
+    promptTemplate: null,   // Custom image prompt template (null for the default)
+    promptModifier: 'none', // Built-in art style appended to every prompt
+    imageStyle: null,       // Image provider style picked for this deck (null for the provider's saved style)
+    usage: emptyUsage(),    // API usage so far for this project
+    budget: { maxImages: null, maxCredits: null, maxCost: null }, // null means no limit
+    editingSymbol: null,
+    isGenerating: false,
+    regenerating: 0,         // Single symbols being regenerated
+    generationPaused: false, // Image run paused with symbols still queued
+    pauseController: null,
+    storageError: null,      // Last image save error (this session only)
     cards: [],
     layouts: [],
+    layoutMode: 'grid',
+    difficulty: 'easy',
+    seed: Algorithm.generateSeed(),
+    validationReport: null,
+    printBuild: 0,          // Bumped per print container rebuild, so a slower earlier one is dropped
+    duplicatePairs: [],
+    pendingUploads: null,   // Uploaded images waiting for the user to pick a deck size
     abortController: null
 };
 
-// Storage key for persistence
-const STORAGE_KEY = 'spotit_state';
-
 // DOM Elements
 let elements = {};
 
 /**
- * Save state to localStorage
+ * Save the open project's state to localStorage
  */
 function saveState() {
     const stateToSave = {
         currentStep: state.currentStep,
         symbolCount: state.symbolCount,
         order: state.order,
+        cardCount: state.cardCount,
         descriptions: state.descriptions,
+        customPrompts: state.customPrompts,
+        theme: state.theme,
+        promptTemplate: state.promptTemplate,
+        promptModifier: state.promptModifier,
+        imageStyle: state.imageStyle,
+        usage: state.usage,
+        budget: state.budget,
+        generationPaused: state.generationPaused,
         cards: state.cards,
         layouts: state.layouts,
-        // Images are saved separately via API.cacheImage
+        imageBounds: state.imageBounds,
+        layoutMode: state.layoutMode,
+        difficulty: state.difficulty,
+        seed: state.seed,
+        // Images are saved separately in IndexedDB (see storage.js)
+        imageCount: state.images.filter(img => img).length,
         hasImages: state.images.filter(img => img).length > 0
     };
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(stateToSave));
+    Projects.saveProjectState(stateToSave);
 }
 
 /**
- * Load state from localStorage
- * @returns {boolean} True if state was restored
+ * Load the open project's state from localStorage, and its images from IndexedDB
+ * @returns {Promise<boolean>} True if state was restored
  */
-function loadState() {
+async function loadState() {
     try {
-        const saved = localStorage.getItem(STORAGE_KEY);
-        if (!saved) return false;
-        
-        const savedState = JSON.parse(saved);
+        const savedState = Projects.loadProjectState();
+        if (!savedState) return false;
         
         // Restore state
         state.currentStep = savedState.currentStep || 1;
         state.symbolCount = savedState.symbolCount || 57;
         state.order = savedState.order || 7;
+        state.cardCount = savedState.cardCount || Algorithm.getTotalSymbols(state.order);
         state.descriptions = savedState.descriptions || [];
+        state.customPrompts = savedState.customPrompts || [];
+        state.theme = savedState.theme || '';
+        state.promptTemplate = savedState.promptTemplate || null;
+        state.promptModifier = savedState.promptModifier || 'none';
+        state.imageStyle = savedState.imageStyle || null;
+        state.usage = { ...emptyUsage(), ...savedState.usage };
+        state.budget = { ...state.budget, ...savedState.budget };
+        state.generationPaused = savedState.generationPaused || false;
         state.cards = savedState.cards || [];
         state.layouts = savedState.layouts || [];
+        state.imageBounds = savedState.imageBounds || [];
+        state.layoutMode = savedState.layoutMode || 'grid';
+        state.difficulty = savedState.difficulty || 'easy';
+        state.seed = savedState.seed ?? Algorithm.generateSeed();
         
-        // Restore images from cache
+        // Restore images from storage
         if (savedState.hasImages) {
-            state.images = API.getAllCachedImages(state.symbolCount);
+            state.images = await Storage.loadImages(state.symbolCount);
+            state.thumbnails = await Storage.loadThumbnails(state.symbolCount);
         }
         
         return state.currentStep > 1 || state.descriptions.length > 0;
@@ -81,28 +153,57 @@ function loadState() {
     }
 }
 
-/**
- * Clear saved state
- */
-function clearSavedState() {
-    localStorage.removeItem(STORAGE_KEY);
-}
-
 /**
  * Initialize the application
  */
-function init() {
+async function init() {
     cacheElements();
     bindEvents();
     checkSavedApiKeys();
+    API.setUsageListener(handleUsage);
+    Storage.setStorageErrorListener(handleStorageError);
     
-    // Try to restore saved state
-    const hasRestoredState = loadState();
+    // Open the last used deck (the first visit creates one)
+    Projects.ensureActiveProject();
+    const hasRestoredState = await openCurrentProject();
+    if (hasRestoredState) {
+        showToast('Progress restored! Continue where you left off.', 'success');
+    }
+}
+
+/**
+ * Show the open project: restore its saved state, or start it fresh
+ * @returns {Promise<boolean>} True if saved state was restored
+ */
+async function openCurrentProject() {
+    // Uploads not used yet belong to the deck they were dropped on
+    closeUploadOptions();
+    const hasRestoredState = await loadState();
+    renderProjectName();
+    renderHistoryButtons();
+    renderStyleOptions();
     
     if (hasRestoredState) {
-        // Update symbol count dropdown
+        // Update game size dropdown and card count
         if (elements.symbolCountSelect) {
-            elements.symbolCountSelect.value = state.symbolCount.toString();
+            elements.symbolCountSelect.value = Algorithm.getTotalSymbols(state.order).toString();
+        }
+        updateCardCountInput();
+        if (elements.layoutModeSelect) {
+            elements.layoutModeSelect.value = state.layoutMode;
+        }
+        if (elements.difficultySelect) {
+            elements.difficultySelect.value = state.difficulty;
+        }
+        
+        // Keep the saved cards if they fit, else generate them (this also determines the symbol count)
+        if (savedCardsFit()) {
+            state.symbolCount = Algorithm.countSymbols(state.cards);
+            if (state.layouts.length !== state.cards.length) {
+                generateCardLayouts();
+            }
+        } else {
+            generateCardConfigurations();
         }
         
         // Initialize grid with restored descriptions
@@ -123,17 +224,19 @@ function init() {
             restoreImageGrid();
         }
         
-        // Generate card configurations
-        generateCardConfigurations();
-        
         // Go to saved step
         goToStep(state.currentStep);
         
         // Handle step-specific restoration
-        if (state.currentStep === 3 && state.images.filter(img => img).length > 0) {
-            // Restore image grid and show continue button
+        if (state.currentStep === 3 && API.hasUnfinishedImageJobs() && !state.generationPaused) {
+            // A reload interrupted image generation: pick up where it stopped
+            runImageGeneration(true);
+            showToast('Resuming image generation...', 'info');
+        } else if (state.currentStep === 3 && (state.images.filter(img => img).length > 0 || API.hasUnfinishedImageJobs())) {
+            // Restore image grid and show continue button (and resume, if paused)
             restoreImageGrid();
             elements.btnContinueToPrint.classList.remove('hidden');
+            elements.btnResumeGeneration.classList.toggle('hidden', !API.hasUnfinishedImageJobs());
             elements.btnCancelGeneration.textContent = 'Back to Symbols';
             elements.imageProgressFill.style.width = '100%';
             elements.imageProgressText.textContent = `${state.images.filter(img => img).length} / ${state.symbolCount} images generated`;
@@ -142,13 +245,26 @@ function init() {
             preparePrintContainer();
         }
         
-        showToast('Progress restored! Continue where you left off.', 'success');
+        // Images cached before subject detection existed are analyzed once now
+        refreshImageBounds();
+        
+        // Decks saved before the library existed get their thumbnail now
+        if (!Projects.getProject(Projects.getActiveProjectId())?.thumbnail) {
+            updateProjectThumbnail();
+        }
     } else {
-        initializeSymbolsGrid();
         generateCardConfigurations();
+        initializeSymbolsGrid();
+        goToStep(state.currentStep);
     }
     
+    elements.seedInput.value = state.seed;
+    initializePromptControls();
+    initializeBudgetControls();
+    renderUsage();
+    renderStorageUsage();
     updateCountDisplays();
+    return hasRestoredState;
 }
 
 /**
@@ -158,32 +274,20 @@ function restoreImageGrid() {
     const grid = elements.generatedImagesGrid;
     if (!grid) return;
     
-    grid.innerHTML = '';
+    initializeImageGrid();
     
     for (let i = 0; i < state.symbolCount; i++) {
-        const imageData = state.images[i];
-        const description = state.descriptions[i] || `Symbol ${i + 1}`;
-        
-        const item = document.createElement('div');
-        item.className = 'image-grid-item';
-        item.id = `image-${i}`;
+        const thumbnail = state.thumbnails[i];
         
-        if (imageData) {
-            item.innerHTML = `
-                <img src="${imageData}" alt="${description}" class="w-full h-full object-contain" />
-                <span class="image-label">${description}</span>
-            `;
+        if (thumbnail) {
+            updateImageCell(i, thumbnail);
         } else {
-            item.innerHTML = `
-                <div class="flex items-center justify-center h-full text-surface-400">
-                    <span class="text-2xl">?</span>
-                </div>
-                <span class="image-label">${description}</span>
-            `;
+            const cell = document.getElementById(`image-cell-${i}`);
+            cell.innerHTML = `<span class="text-2xl text-gray-500">?</span>`;
         }
-        
-        grid.appendChild(item);
     }
+    
+    detectDuplicateImages();
 }
 
 /**
@@ -198,13 +302,39 @@ function cacheElements() {
         
         openaiKeyInput: document.getElementById('openai-key'),
         leonardoKeyInput: document.getElementById('leonardo-key'),
-        leonardoStyleSelect: document.getElementById('leonardo-style'),
+        textBaseUrlInput: document.getElementById('text-base-url'),
+        textModelInput: document.getElementById('text-model'),
+        textKeyFormatSelect: document.getElementById('text-key-format'),
+        btnTestText: document.getElementById('btn-test-text'),
+        textTestResult: document.getElementById('text-test-result'),
+        imageProviderSelect: document.getElementById('image-provider'),
+        imageProviderHelp: document.getElementById('image-provider-help'),
+        providerSettings: document.getElementById('provider-settings'),
+        leonardoKeyField: document.getElementById('leonardo-key-field'),
+        imageStyleSelect: document.getElementById('leonardo-style'),
+        imageStyleProvider: document.getElementById('image-style-provider'),
+        removeBackgroundCheckbox: document.getElementById('remove-background'),
         toggleOpenaiVisibility: document.getElementById('toggle-openai-visibility'),
         toggleLeonardoVisibility: document.getElementById('toggle-leonardo-visibility'),
         btnSaveKeys: document.getElementById('btn-save-keys'),
+        uploadDropzone: document.getElementById('upload-dropzone'),
+        uploadDropzoneText: document.getElementById('upload-dropzone-text'),
+        uploadInput: document.getElementById('upload-input'),
+        uploadOptions: document.getElementById('upload-options'),
+        uploadSummary: document.getElementById('upload-summary'),
+        uploadDeckSize: document.getElementById('upload-deck-size'),
+        uploadCardCount: document.getElementById('upload-card-count'),
+        uploadUsage: document.getElementById('upload-usage'),
+        btnUseUploads: document.getElementById('btn-use-uploads'),
+        btnCancelUploads: document.getElementById('btn-cancel-uploads'),
         
         symbolCountSelect: document.getElementById('symbol-count'),
+        cardCountInput: document.getElementById('card-count'),
         themeInput: document.getElementById('theme-input'),
+        promptModifierSelect: document.getElementById('prompt-modifier'),
+        promptTemplateInput: document.getElementById('prompt-template'),
+        btnResetTemplate: document.getElementById('btn-reset-template'),
+        promptPreview: document.getElementById('prompt-preview'),
         btnGenerateDescriptions: document.getElementById('btn-generate-descriptions'),
         symbolsProgress: document.getElementById('symbols-progress'),
         descProgressFill: document.getElementById('desc-progress-fill'),
@@ -216,12 +346,45 @@ function cacheElements() {
         imageProgressFill: document.getElementById('image-progress-fill'),
         imageProgressText: document.getElementById('image-progress-text'),
         generatedImagesGrid: document.getElementById('generated-images-grid'),
+        duplicatesPanel: document.getElementById('duplicates-panel'),
+        symbolEditor: document.getElementById('symbol-editor'),
+        symbolEditorTitle: document.getElementById('symbol-editor-title'),
+        editorDescription: document.getElementById('editor-description'),
+        editorPrompt: document.getElementById('editor-prompt'),
+        editorVariants: document.getElementById('editor-variants'),
+        btnGenerateVariant: document.getElementById('btn-generate-variant'),
+        btnResetPrompt: document.getElementById('btn-reset-prompt'),
+        btnCloseEditor: document.getElementById('btn-close-editor'),
         btnCancelGeneration: document.getElementById('btn-cancel-generation'),
         
         btnDownloadPdf: document.getElementById('btn-download-pdf'),
+        btnExportDeck: document.getElementById('btn-export-deck'),
+        importDeckInput: document.getElementById('import-deck-input'),
+        validationReport: document.getElementById('validation-report'),
+        layoutModeSelect: document.getElementById('layout-mode'),
+        difficultySelect: document.getElementById('difficulty'),
+        seedInput: document.getElementById('deck-seed'),
+        btnReshuffle: document.getElementById('btn-reshuffle'),
         cardsPreview: document.getElementById('cards-preview'),
         btnStartOver: document.getElementById('btn-start-over'),
+        btnOpenLibrary: document.getElementById('btn-open-library'),
+        btnUndo: document.getElementById('btn-undo'),
+        btnRedo: document.getElementById('btn-redo'),
+        currentProjectName: document.getElementById('current-project-name'),
+        panelLibrary: document.getElementById('panel-library'),
+        projectList: document.getElementById('project-list'),
+        btnNewProject: document.getElementById('btn-new-project'),
+        btnCloseLibrary: document.getElementById('btn-close-library'),
+        stepIndicator: document.getElementById('step-indicator'),
+        usageInfo: document.getElementById('usage-info'),
         btnContinueToPrint: document.getElementById('btn-continue-to-print'),
+        btnPauseGeneration: document.getElementById('btn-pause-generation'),
+        btnResumeGeneration: document.getElementById('btn-resume-generation'),
+        usageSummary: document.getElementById('usage-summary'),
+        storageUsage: document.getElementById('storage-usage'),
+        budgetImagesInput: document.getElementById('budget-images'),
+        budgetCreditsInput: document.getElementById('budget-credits'),
+        budgetCostInput: document.getElementById('budget-cost'),
         
         printContainer: document.getElementById('print-container'),
         toastContainer: document.getElementById('toast-container'),
@@ -240,18 +403,82 @@ function cacheElements() {
 function bindEvents() {
     elements.toggleOpenaiVisibility.addEventListener('click', () => toggleKeyVisibility('openai'));
     elements.toggleLeonardoVisibility.addEventListener('click', () => toggleKeyVisibility('leonardo'));
+    elements.btnTestText.addEventListener('click', testTextConnection);
+    elements.imageProviderSelect.addEventListener('change', renderProviderFields);
     elements.btnSaveKeys.addEventListener('click', saveApiKeys);
+    elements.uploadInput.addEventListener('change', () => {
+        useUploadedImages(Upload.readImageFiles(elements.uploadInput.files));
+        elements.uploadInput.value = '';
+    });
+    elements.uploadDropzone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        elements.uploadDropzone.classList.add('upload-dropzone-active');
+    });
+    elements.uploadDropzone.addEventListener('dragleave', () => {
+        elements.uploadDropzone.classList.remove('upload-dropzone-active');
+    });
+    elements.uploadDropzone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        elements.uploadDropzone.classList.remove('upload-dropzone-active');
+        useUploadedImages(Upload.readDroppedImages(e.dataTransfer));
+    });
+    elements.uploadDeckSize.addEventListener('change', handleUploadDeckSizeChange);
+    elements.uploadCardCount.addEventListener('input', renderUploadUsage);
+    elements.btnUseUploads.addEventListener('click', applyUploadedImages);
+    elements.btnCancelUploads.addEventListener('click', closeUploadOptions);
     
     elements.symbolCountSelect.addEventListener('change', handleSymbolCountChange);
+    elements.symbolsGrid.addEventListener('focusin', () => { state.descriptionsBeforeEdit = [...state.descriptions]; });
+    elements.symbolsGrid.addEventListener('change', handleDescriptionChange);
+    elements.cardCountInput.addEventListener('change', handleCardCountChange);
     elements.btnGenerateDescriptions.addEventListener('click', generateDescriptions);
+    elements.themeInput.addEventListener('input', handlePromptOptionsChange);
+    elements.promptModifierSelect.addEventListener('change', handlePromptOptionsChange);
+    elements.promptTemplateInput.addEventListener('input', handlePromptOptionsChange);
+    elements.promptTemplateInput.addEventListener('change', checkPromptTemplate);
+    elements.btnResetTemplate.addEventListener('click', resetPromptTemplate);
     elements.btnBackToApi.addEventListener('click', () => goToStep(1));
     elements.btnGenerateImages.addEventListener('click', startImageGeneration);
+    elements.imageStyleSelect.addEventListener('change', () => {
+        state.imageStyle = elements.imageStyleSelect.value;
+        saveState();
+    });
+    elements.removeBackgroundCheckbox.addEventListener('change', () => {
+        API.setRemoveBackground(elements.removeBackgroundCheckbox.checked);
+    });
+    elements.budgetImagesInput.addEventListener('change', handleBudgetChange);
+    elements.budgetCreditsInput.addEventListener('change', handleBudgetChange);
+    elements.budgetCostInput.addEventListener('change', handleBudgetChange);
     
     elements.btnCancelGeneration.addEventListener('click', cancelGeneration);
+    elements.duplicatesPanel.addEventListener('click', handleDuplicateAction);
+    elements.generatedImagesGrid.addEventListener('click', handleImageCellClick);
+    elements.editorDescription.addEventListener('input', handleEditorDescriptionInput);
+    elements.editorPrompt.addEventListener('input', () => { elements.editorPrompt.dataset.edited = 'true'; });
+    elements.editorVariants.addEventListener('click', handleVariantClick);
+    elements.btnGenerateVariant.addEventListener('click', generateVariantFromEditor);
+    elements.btnResetPrompt.addEventListener('click', resetEditorPrompt);
+    elements.btnCloseEditor.addEventListener('click', closeSymbolEditor);
     
     elements.btnDownloadPdf.addEventListener('click', downloadPdf);
-    elements.btnStartOver.addEventListener('click', startOver);
+    elements.btnExportDeck.addEventListener('click', exportDeck);
+    elements.importDeckInput.addEventListener('change', handleDeckImport);
+    elements.layoutModeSelect.addEventListener('change', handleLayoutOptionsChange);
+    elements.difficultySelect.addEventListener('change', handleLayoutOptionsChange);
+    elements.seedInput.addEventListener('change', handleSeedChange);
+    elements.btnReshuffle.addEventListener('click', reshuffleDeck);
+    elements.btnStartOver.addEventListener('click', startNewProject);
+    elements.btnOpenLibrary.addEventListener('click', showLibrary);
+    elements.btnNewProject.addEventListener('click', startNewProject);
+    elements.btnCloseLibrary.addEventListener('click', () => goToStep(state.currentStep));
+    elements.projectList.addEventListener('click', handleProjectAction);
+    elements.projectList.addEventListener('change', handleProjectRename);
     elements.btnContinueToPrint.addEventListener('click', continueToPrint);
+    elements.btnPauseGeneration.addEventListener('click', pauseGeneration);
+    elements.btnResumeGeneration.addEventListener('click', resumeGeneration);
+    elements.btnUndo.addEventListener('click', undoEdit);
+    elements.btnRedo.addEventListener('click', redoEdit);
+    document.addEventListener('keydown', handleHistoryShortcut);
     
     // Step navigation - allow clicking on completed steps
     elements.steps.forEach(stepEl => {
@@ -294,6 +521,7 @@ function navigateToStep(step) {
         // Restore image grid if we have images
         restoreImageGrid();
         elements.btnContinueToPrint.classList.remove('hidden');
+        elements.btnResumeGeneration.classList.toggle('hidden', !API.hasUnfinishedImageJobs());
         elements.btnCancelGeneration.textContent = 'Back to Symbols';
         elements.imageProgressFill.style.width = '100%';
         elements.imageProgressText.textContent = `${state.images.filter(img => img).length} / ${state.symbolCount} images generated`;
@@ -317,22 +545,113 @@ function continueToPrint() {
  * Handle symbol count change
  */
 function handleSymbolCountChange() {
+    const before = snapshotDeck();
     const count = parseInt(elements.symbolCountSelect.value);
-    state.symbolCount = count;
     state.order = SYMBOL_COUNT_TO_ORDER[count];
+    state.cardCount = count; // Full deck by default
+    updateCardCountInput();
     
     // Clear existing descriptions
     state.descriptions = [];
+    state.customPrompts = [];
     
-    // Regenerate grid and cards
-    initializeSymbolsGrid();
+    // Regenerate cards and grid
     generateCardConfigurations();
+    initializeSymbolsGrid();
     
     // Update count displays
     updateCountDisplays();
     
     // Disable generate button until symbols are filled
     elements.btnGenerateImages.disabled = true;
+    
+    recordDeckEdit('deck size change', before);
+    saveState();
+}
+
+/**
+ * Handle card count change (partial deck)
+ */
+function handleCardCountChange() {
+    const before = snapshotDeck();
+    const maxCards = Algorithm.getTotalSymbols(state.order);
+    const count = parseInt(elements.cardCountInput.value);
+    state.cardCount = Number.isNaN(count) ? maxCards : Math.max(2, Math.min(count, maxCards));
+    updateCardCountInput();
+    
+    // Keep descriptions for the symbols that are still needed
+    generateCardConfigurations();
+    state.descriptions = state.descriptions.slice(0, state.symbolCount);
+    state.images = state.images.slice(0, state.symbolCount);
+    state.thumbnails = state.thumbnails.slice(0, state.symbolCount);
+    state.customPrompts = state.customPrompts.slice(0, state.symbolCount);
+    state.imageBounds = state.imageBounds.slice(0, state.symbolCount);
+    initializeSymbolsGrid();
+    checkSymbolsComplete();
+    
+    updateCountDisplays();
+    recordDeckEdit('card count change', before);
+    saveState();
+}
+
+/**
+ * Handle card shape (square grid or round scattered) and difficulty changes
+ */
+function handleLayoutOptionsChange() {
+    const before = snapshotDeck(['layoutMode', 'difficulty']);
+    state.layoutMode = elements.layoutModeSelect.value;
+    state.difficulty = elements.difficultySelect.value;
+    generateCardLayouts();
+    renderCardsPreview();
+    preparePrintContainer();
+    recordDeckEdit(state.layoutMode !== before.layoutMode ? 'card shape change' : 'difficulty change', before);
+    saveState();
+}
+
+/**
+ * Handle manual deck seed entry
+ */
+function handleSeedChange() {
+    const seed = parseInt(elements.seedInput.value);
+    if (Number.isNaN(seed) || seed < 0 || seed > 4294967295) {
+        showToast('Seed must be a whole number between 0 and 4294967295', 'warning');
+        elements.seedInput.value = state.seed;
+        return;
+    }
+    applySeed(seed, 'seed change');
+}
+
+/**
+ * Re-randomize the deck with a new seed (images and descriptions are kept)
+ */
+function reshuffleDeck() {
+    applySeed(Algorithm.generateSeed(), 'reshuffle');
+    showToast('Deck reshuffled!', 'success');
+}
+
+/**
+ * Rebuild cards and layouts from a deck seed
+ * @param {number} seed - Deck seed
+ * @param {string} label - Edit name for undo
+ */
+function applySeed(seed, label) {
+    const before = snapshotDeck(['seed']);
+    state.seed = seed;
+    elements.seedInput.value = seed;
+    generateCardConfigurations();
+    renderCardsPreview();
+    preparePrintContainer();
+    recordDeckEdit(label, before);
+    saveState();
+}
+
+/**
+ * Sync the card count input with the current order and card count
+ */
+function updateCardCountInput() {
+    if (!elements.cardCountInput) return;
+    elements.cardCountInput.max = Algorithm.getTotalSymbols(state.order);
+    elements.cardCountInput.value = state.cardCount;
 }
 
 /**
@@ -358,9 +677,39 @@ function updateCountDisplays() {
  */
 function generateCardConfigurations() {
     const symbolsPerCard = state.order + 1;
-    state.cards = Algorithm.generateCards(state.order);
-    state.layouts = Algorithm.generateAllLayouts(state.cards.length, symbolsPerCard, 200);
-    console.log(`Generated ${state.cards.length} cards with ${symbolsPerCard} symbols each`);
+    const fullDeck = Algorithm.generateCards(state.order);
+    const partialDeck = Algorithm.selectCards(fullDeck, state.cardCount);
+    state.cards = Algorithm.shuffleDeck(partialDeck, state.seed);
+    state.symbolCount = Algorithm.countSymbols(state.cards);
+    generateCardLayouts();
+    if (!Algorithm.verifyCards(state.cards)) {
+        console.error(`Card configuration for order ${state.order} is invalid`);
+    }
+    console.log(`Generated ${state.cards.length} cards with ${symbolsPerCard} symbols each (${state.symbolCount} symbols)`);
+}
+
+/**
+ * Lay out the symbols on the current cards, keeping the cards themselves
+ */
+function generateCardLayouts() {
+    state.layouts = Algorithm.generateAllLayouts(state.cards.length, state.order + 1, 200, {
+        mode: state.layoutMode,
+        difficulty: state.difficulty,
+        cards: state.cards,
+        seed: state.seed,
+        bounds: state.imageBounds
+    });
+}
+
+/**
+ * Check whether the restored cards still fit the deck's size
+ * Imported decks keep the cards they were exported with.
+ * @returns {boolean}
+ */
+function savedCardsFit() {
+    return state.cards.length === state.cardCount &&
+        state.cards.every(card => card.length === state.order + 1) &&
+        Algorithm.verifyCards(state.cards);
 }
 
 /**
@@ -380,19 +729,20 @@ function initializeSymbolsGrid() {
                    placeholder="Symbol description..."
                    class="flex-1 bg-transparent border-none text-gray-100 font-outfit text-sm outline-none placeholder:text-gray-500">
         `;
+        item.querySelector('input').value = state.descriptions[i] || '';
         grid.appendChild(item);
     }
     
     grid.addEventListener('input', checkSymbolsComplete);
+    renderPromptPreview();
 }
 
 /**
- * Check for saved API keys and style
+ * Check for saved API keys, image provider and style
  */
 function checkSavedApiKeys() {
     const savedOpenaiKey = API.getOpenAIApiKey();
     const savedLeonardoKey = API.getLeonardoApiKey();
-    const savedStyle = API.getLeonardoStyle();
     
     if (savedOpenaiKey) {
         elements.openaiKeyInput.value = savedOpenaiKey;
@@ -400,10 +750,75 @@ function checkSavedApiKeys() {
     if (savedLeonardoKey) {
         elements.leonardoKeyInput.value = savedLeonardoKey;
     }
-    // Style dropdown is in symbols step, restore it there
-    if (savedStyle && elements.leonardoStyleSelect) {
-        elements.leonardoStyleSelect.value = savedStyle;
-    }
+    
+    const textSettings = API.getTextSettings();
+    elements.textBaseUrlInput.value = textSettings.baseUrl;
+    elements.textModelInput.value = textSettings.model;
+    Object.entries(API.TEXT_KEY_FORMATS).forEach(([id, format]) => {
+        elements.textKeyFormatSelect.add(new Option(format.label, id));
+    });
+    elements.textKeyFormatSelect.value = textSettings.keyFormat;
+    
+    elements.imageProviderSelect.innerHTML = '';
+    Providers.getProviders().forEach(provider => {
+        elements.imageProviderSelect.add(new Option(provider.name, provider.id));
+    });
+    elements.imageProviderSelect.value = Providers.getActiveProvider().id;
+    renderProviderFields();
+    
+    // Style dropdown and background removal are in symbols step, restore them there
+    renderStyleOptions();
+    elements.removeBackgroundCheckbox.checked = API.getRemoveBackground();
+}
+
+/**
+ * Show the fields the selected image provider needs (API key, server settings)
+ */
+function renderProviderFields() {
+    const provider = Providers.getProvider(elements.imageProviderSelect.value);
+    const values = Providers.getProviderSettings(provider);
+    
+    elements.imageProviderHelp.textContent = provider.description;
+    elements.leonardoKeyField.classList.toggle('hidden', provider.keyType !== 'leonardo');
+    
+    elements.providerSettings.innerHTML = '';
+    provider.settings.forEach(setting => {
+        const field = document.createElement('div');
+        field.className = 'mb-6';
+        field.innerHTML = `
+            <label for="provider-setting-${setting.id}" class="block text-sm font-medium text-gray-400 mb-2"></label>
+            <input type="text" id="provider-setting-${setting.id}" data-setting="${setting.id}" class="input-field">
+        `;
+        field.querySelector('label').textContent = setting.label;
+        field.querySelector('input').value = values[setting.id];
+        elements.providerSettings.appendChild(field);
+    });
+}
+
+/**
+ * Fill the style dropdown with the active image provider's styles
+ */
+function renderStyleOptions() {
+    const provider = Providers.getActiveProvider();
+    
+    elements.imageStyleSelect.innerHTML = '';
+    Object.keys(provider.styles).forEach(name => {
+        elements.imageStyleSelect.add(new Option(name, name));
+    });
+    elements.imageStyleSelect.value = getDeckImageStyle(provider);
+    elements.imageStyleProvider.textContent = `(${provider.name})`;
+}
+
+/**
+ * Image style of the open deck for an image provider
+ * The deck's own style wins, if the provider has it; otherwise the provider's saved style.
+ * @param {Object} provider - Image provider (defaults to the active one)
+ * @returns {string} Style name
+ */
+function getDeckImageStyle(provider = Providers.getActiveProvider()) {
+    return state.imageStyle in provider.styles
+        ? state.imageStyle
+        : Providers.getProviderStyle(provider);
 }
 
 /**
@@ -420,28 +835,287 @@ function toggleKeyVisibility(type) {
 function saveApiKeys() {
     const openaiKey = elements.openaiKeyInput.value.trim();
     const leonardoKey = elements.leonardoKeyInput.value.trim();
+    const provider = Providers.getProvider(elements.imageProviderSelect.value);
     
-    if (!openaiKey) {
-        showToast('Please enter your OpenAI API key', 'error');
+    const textSettings = readTextSettings();
+    const keyError = API.validateTextApiKey(openaiKey, textSettings.keyFormat);
+    if (keyError) {
+        showToast(keyError, 'error');
         return;
     }
     
-    if (!openaiKey.startsWith('sk-')) {
-        showToast('Invalid OpenAI API key format (should start with sk-)', 'error');
+    if (provider.keyType === 'leonardo' && !leonardoKey) {
+        showToast('Please enter your Leonardo API key', 'error');
         return;
     }
     
-    if (!leonardoKey) {
-        showToast('Please enter your Leonardo API key', 'error');
+    const settings = {};
+    elements.providerSettings.querySelectorAll('input').forEach(input => {
+        settings[input.dataset.setting] = input.value.trim();
+    });
+    const missing = provider.settings.find(setting => !settings[setting.id]);
+    if (missing) {
+        showToast(`Please enter the ${missing.label} for ${provider.name}`, 'error');
         return;
     }
     
     API.setOpenAIApiKey(openaiKey);
-    API.setLeonardoApiKey(leonardoKey);
+    API.setTextSettings(textSettings);
+    if (leonardoKey) {
+        API.setLeonardoApiKey(leonardoKey);
+    }
+    Providers.setActiveProvider(provider.id);
+    Providers.setProviderSettings(provider, settings);
+    renderStyleOptions();
     showToast('API keys saved!', 'success');
     goToStep(2);
 }
 
+/**
+ * Read uploaded images and offer a deck size for them
+ * 
+ * The suggested size (the most cards the images can fill) is preselected;
+ * the user can pick another before the images are used.
+ * 
+ * @param {Promise<Object[]>} reading - Images being read by the Upload module
+ */
+async function useUploadedImages(reading) {
+    const dropzoneText = elements.uploadDropzoneText.textContent;
+    elements.uploadDropzoneText.textContent = 'Reading images...';
+    
+    let uploads;
+    try {
+        uploads = await reading;
+    } catch (error) {
+        showToast(`Could not read the files: ${error.message}`, 'error');
+        return;
+    } finally {
+        elements.uploadDropzoneText.textContent = dropzoneText;
+    }
+    
+    offerUploadDeckSizes(uploads, `Found ${uploads.length} images.`);
+}
+
+/**
+ * Show the deck sizes the uploaded images can fill, with the suggested one selected
+ * @param {Object[]} uploads - Uploaded images
+ * @param {string} summary - What was found, shown above the options
+ */
+function offerUploadDeckSizes(uploads, summary) {
+    const orders = Object.values(SYMBOL_COUNT_TO_ORDER);
+    const suggestion = Algorithm.suggestDeckSize(uploads.length, orders);
+    if (!suggestion) {
+        closeUploadOptions();
+        showToast(`${summary} That is not enough images for a deck.`, 'error');
+        return;
+    }
+    
+    state.pendingUploads = uploads;
+    elements.uploadSummary.textContent = `${summary} The suggested deck size is selected; change it if you like.`;
+    elements.uploadDeckSize.innerHTML = Algorithm.listDeckSizes(uploads.length, orders).map(size => `
+        <option value="${size.order}" data-max-cards="${size.cardCount}" ${size.order === suggestion.order ? 'selected' : ''}>
+            ${size.order + 1} symbols per card (up to ${size.cardCount} cards)
+        </option>
+    `).join('');
+    handleUploadDeckSizeChange();
+    elements.uploadOptions.classList.remove('hidden');
+}
+
+/**
+ * Deck size picked for the uploaded images
+ * @returns {{order: number, cardCount: number, symbolCount: number}}
+ */
+function getUploadDeckSize() {
+    const option = elements.uploadDeckSize.selectedOptions[0];
+    const order = parseInt(option.value);
+    const maxCards = parseInt(option.dataset.maxCards);
+    const count = parseInt(elements.uploadCardCount.value);
+    const cardCount = Number.isNaN(count) ? maxCards : Math.max(2, Math.min(count, maxCards));
+    const symbolCount = Algorithm.countSymbols(Algorithm.selectCards(Algorithm.generateCards(order), cardCount));
+    return { order, cardCount, symbolCount };
+}
+
+/**
+ * Start a newly picked upload deck size at the most cards the images can fill
+ */
+function handleUploadDeckSizeChange() {
+    const maxCards = elements.uploadDeckSize.selectedOptions[0].dataset.maxCards;
+    elements.uploadCardCount.max = maxCards;
+    elements.uploadCardCount.value = maxCards;
+    renderUploadUsage();
+}
+
+/**
+ * Show how many of the uploaded images the picked deck size uses
+ */
+function renderUploadUsage() {
+    const { cardCount, symbolCount } = getUploadDeckSize();
+    const skipped = state.pendingUploads.length - symbolCount;
+    elements.uploadUsage.textContent = skipped > 0
+        ? `${cardCount} cards using ${symbolCount} of the images; the last ${skipped} are left out.`
+        : `${cardCount} cards using all ${symbolCount} images.`;
+}
+
+/**
+ * Hide the upload deck size options and forget the uploaded images
+ */
+function closeUploadOptions() {
+    state.pendingUploads = null;
+    elements.uploadOptions.classList.add('hidden');
+}
+
+/**
+ * Decode and resize uploaded images in order until enough are ready
+ * 
+ * Browsers can't decode every image type (e.g. HEIC, TIFF); files that fail
+ * are skipped and the next upload takes their place.
+ * 
+ * @param {Object[]} uploads - Uploaded images
+ * @param {number} count - Images needed
+ * @returns {Promise<{used: Object[], images: string[], failed: Object[]}>}
+ */
+async function decodeUploadedImages(uploads, count) {
+    const used = [];
+    const images = [];
+    const failed = [];
+    for (const upload of uploads) {
+        if (used.length === count) break;
+        try {
+            images.push(await Images.resizeImage(upload.imageData, Images.MASTER_SIZE));
+            used.push(upload);
+        } catch (e) {
+            failed.push(upload);
+        }
+    }
+    return { used, images, failed };
+}
+
+/**
+ * Use the uploaded images as the symbols, skipping description and image generation
+ * 
+ * File names become the descriptions. No API keys are needed. Replaces the
+ * open deck's symbols and undo history, so asks first if there is anything to lose.
+ * Every image is decoded before the deck is touched.
+ */
+async function applyUploadedImages() {
+    const uploads = state.pendingUploads;
+    if (!uploads) return;
+    if (isGeneratingImages()) {
+        showToast('Finish or cancel image generation before using your own images', 'warning');
+        return;
+    }
+    
+    const { order, cardCount, symbolCount } = getUploadDeckSize();
+    elements.btnUseUploads.disabled = true;
+    let decoded;
+    try {
+        decoded = await decodeUploadedImages(uploads, symbolCount);
+    } finally {
+        elements.btnUseUploads.disabled = false;
+    }
+    // Cancelled, or another deck opened, while decoding
+    if (state.pendingUploads !== uploads) return;
+    
+    const { used, images, failed } = decoded;
+    const failedNote = failed.length > 0
+        ? `${failed.length} could not be read (${failed.map(upload => upload.name).join(', ')}).`
+        : '';
+    if (used.length < symbolCount) {
+        offerUploadDeckSizes(
+            uploads.filter(upload => !failed.includes(upload)),
+            `Found ${uploads.length} images, but ${failedNote} Pick a deck size for the rest.`
+        );
+        return;
+    }
+    if (isGeneratingImages()) {
+        showToast('Finish or cancel image generation before using your own images', 'warning');
+        return;
+    }
+    
+    const history = History.getHistoryStatus();
+    const hasWork = state.descriptions.some(Boolean) || state.images.some(Boolean) || history.undo || history.redo;
+    if (hasWork && !confirm('Replace this deck\'s descriptions and images with the uploaded images? Its undo history is cleared too. To keep this deck, cancel and start a New Deck from My Decks first.')) {
+        return;
+    }
+    
+    closeUploadOptions();
+    
+    // Size the deck to the images
+    state.order = order;
+    state.cardCount = cardCount;
+    elements.symbolCountSelect.value = Algorithm.getTotalSymbols(state.order).toString();
+    updateCardCountInput();
+    
+    closeSymbolEditor();
+    state.imageBounds = [];
+    state.customPrompts = [];
+    state.variants = [];
+    state.duplicatePairs = [];
+    generateCardConfigurations();
+    
+    state.descriptions = used.map(upload => upload.description);
+    await setImages(images);
+    Storage.replaceImages(state.images).then(renderStorageUsage);
+    // Replacing every image also drops the images kept for undo
+    History.clearHistory();
+    renderHistoryButtons();
+    
+    initializeSymbolsGrid();
+    checkSymbolsComplete();
+    updateCountDisplays();
+    
+    // Straight to the review grid
+    navigateToStep(3);
+    elements.imageProgressText.textContent = `${state.symbolCount} images uploaded`;
+    
+    const skipped = uploads.length - state.symbolCount - failed.length;
+    const usage = skipped > 0
+        ? `Using ${state.symbolCount} of ${uploads.length} images (${state.cards.length} cards). The last ${skipped} were left out.`
+        : `Using ${failed.length > 0 ? '' : 'all '}${state.symbolCount} images (${state.cards.length} cards).`;
+    showToast(failedNote ? `${usage} ${failedNote}` : usage, failedNote ? 'warning' : 'success');
+    
+    // Re-pack layouts around the visible subjects
+    await refreshImageBounds();
+    saveState();
+    updateProjectThumbnail();
+}
+
+/**
+ * Read the text endpoint settings from the API step
+ * @returns {{baseUrl: string, model: string, keyFormat: string}}
+ */
+function readTextSettings() {
+    return {
+        baseUrl: elements.textBaseUrlInput.value,
+        model: elements.textModelInput.value,
+        keyFormat: elements.textKeyFormatSelect.value
+    };
+}
+
+/**
+ * Send a tiny request to the text endpoint to check the settings
+ */
+async function testTextConnection() {
+    const settings = readTextSettings();
+    const key = elements.openaiKeyInput.value.trim();
+    const keyError = API.validateTextApiKey(key, settings.keyFormat);
+    if (keyError) {
+        elements.textTestResult.textContent = keyError;
+        return;
+    }
+    
+    elements.btnTestText.disabled = true;
+    elements.textTestResult.textContent = 'Testing...';
+    try {
+        const reply = await API.testTextConnection(settings, key);
+        elements.textTestResult.textContent = `Connected (model replied "${reply.slice(0, 40)}")`;
+    } catch (error) {
+        elements.textTestResult.textContent = `Failed: ${error.message}`;
+    } finally {
+        elements.btnTestText.disabled = false;
+    }
+}
+
 /**
  * Generate descriptions with AI
  */
@@ -450,6 +1124,7 @@ async function generateDescriptions() {
     
     elements.symbolsProgress.classList.remove('hidden');
     elements.btnGenerateDescriptions.disabled = true;
+    const before = snapshotDeck(['descriptions']);
     
     try {
         state.descriptions = await API.generateDescriptions(
@@ -468,8 +1143,14 @@ async function generateDescriptions() {
             }
         });
         
-        showToast(`Generated ${state.symbolCount} symbol descriptions!`, 'success');
+        const missing = state.symbolCount - state.descriptions.length;
+        if (missing > 0) {
+            showToast(`Generated ${state.descriptions.length} unique descriptions; please fill in the last ${missing} yourself`, 'warning');
+        } else {
+            showToast(`Generated ${state.symbolCount} symbol descriptions!`, 'success');
+        }
         checkSymbolsComplete();
+        recordDeckEdit('generated descriptions', before);
         saveState(); // Persist descriptions
         
     } catch (error) {
@@ -493,53 +1174,209 @@ function checkSymbolsComplete() {
     
     elements.btnGenerateImages.disabled = filledCount < state.symbolCount;
     state.descriptions = Array.from(inputs).map(input => input.value.trim());
+    renderPromptPreview();
 }
 
 /**
- * Start image generation
+ * Record a finished edit of a symbol description (one undo step per input)
  */
-async function startImageGeneration() {
-    const inputs = elements.symbolsGrid.querySelectorAll('input');
-    state.descriptions = Array.from(inputs).map(input => input.value.trim());
-    
-    const emptyCount = state.descriptions.filter(d => !d).length;
-    if (emptyCount > 0) {
-        showToast(`Please fill in all ${emptyCount} empty descriptions`, 'warning');
-        return;
+function handleDescriptionChange() {
+    checkSymbolsComplete();
+    recordDeckEdit('description edit', { descriptions: state.descriptionsBeforeEdit });
+    state.descriptionsBeforeEdit = [...state.descriptions];
+    saveState();
+}
+
+/**
+ * Fill the art style dropdown and show the saved theme and prompt template
+ */
+function initializePromptControls() {
+    if (elements.promptModifierSelect.options.length === 0) {
+        Object.entries(API.PROMPT_MODIFIERS).forEach(([id, modifier]) => {
+            elements.promptModifierSelect.add(new Option(modifier.label, id));
+        });
     }
-    
-    // Save the selected style
-    const selectedStyle = elements.leonardoStyleSelect.value;
-    API.setLeonardoStyle(selectedStyle);
-    
-    goToStep(3);
-    initializeImageGrid();
-    
-    // Reset progress text with correct count
-    elements.imageProgressText.textContent = `0 / ${state.symbolCount} images generated`;
-    
-    // Reset button states
-    elements.btnContinueToPrint.classList.add('hidden');
-    elements.btnCancelGeneration.textContent = 'Cancel';
-    
-    state.abortController = new AbortController();
-    
-    try {
-        state.images = await API.generateAllImages(
-            state.descriptions,
-            (current, total, status) => {
-                const progress = (current / total) * 100;
-                elements.imageProgressFill.style.width = `${progress}%`;
-                elements.imageProgressText.textContent = `${current} / ${total} images generated`;
-            },
-            (index, imageData, error) => {
-                updateImageCell(index, imageData, error);
-            },
-            state.abortController.signal
-        );
-        
-        const successCount = state.images.filter(img => img).length;
-        if (successCount < state.symbolCount) {
+    elements.promptModifierSelect.value = state.promptModifier;
+    elements.promptTemplateInput.value = state.promptTemplate || API.DEFAULT_PROMPT_TEMPLATE;
+    elements.themeInput.value = state.theme;
+    renderPromptPreview();
+}
+
+/**
+ * Handle theme, art style and prompt template changes
+ */
+function handlePromptOptionsChange() {
+    const template = elements.promptTemplateInput.value.trim();
+    state.theme = elements.themeInput.value.trim();
+    state.promptModifier = elements.promptModifierSelect.value;
+    state.promptTemplate = template && template !== API.DEFAULT_PROMPT_TEMPLATE ? template : null;
+    renderPromptPreview();
+    saveState();
+}
+
+/**
+ * Warn when the prompt template would give every symbol the same prompt
+ */
+function checkPromptTemplate() {
+    if (!elements.promptTemplateInput.value.includes('{description}')) {
+        showToast('The prompt template has no {description} placeholder, so every image gets the same prompt', 'warning');
+    }
+}
+
+/**
+ * Restore the default prompt template
+ */
+function resetPromptTemplate() {
+    elements.promptTemplateInput.value = API.DEFAULT_PROMPT_TEMPLATE;
+    handlePromptOptionsChange();
+}
+
+/**
+ * Build the image prompt for a description from the deck's template, theme and art style
+ * @param {string} description - Symbol description
+ * @returns {string}
+ */
+function buildSymbolPrompt(description) {
+    return API.buildImagePrompt(description, {
+        template: state.promptTemplate,
+        theme: state.theme,
+        modifier: state.promptModifier
+    });
+}
+
+/**
+ * Get the final image prompt for a symbol (its edited prompt, if any)
+ * @param {number} index - Symbol index
+ * @returns {string}
+ */
+function getSymbolPrompt(index) {
+    return state.customPrompts[index] || buildSymbolPrompt(state.descriptions[index] || '');
+}
+
+/**
+ * Show the final prompt for every symbol
+ */
+function renderPromptPreview() {
+    elements.promptPreview.innerHTML = '';
+    for (let i = 0; i < state.symbolCount; i++) {
+        const item = document.createElement('li');
+        item.textContent = state.descriptions[i]
+            ? getSymbolPrompt(i) + (state.customPrompts[i] ? ' (edited)' : '')
+            : '(no description yet)';
+        elements.promptPreview.appendChild(item);
+    }
+}
+
+/**
+ * Start image generation
+ */
+async function startImageGeneration() {
+    const inputs = elements.symbolsGrid.querySelectorAll('input');
+    state.descriptions = Array.from(inputs).map(input => input.value.trim());
+    
+    const emptyCount = state.descriptions.filter(d => !d).length;
+    if (emptyCount > 0) {
+        showToast(`Please fill in all ${emptyCount} empty descriptions`, 'warning');
+        return;
+    }
+    
+    const provider = Providers.getActiveProvider();
+    if (provider.keyType && !API.getProviderApiKey(provider)) {
+        showToast(`Add your ${provider.name} API key in step 1 to generate images`, 'error');
+        return;
+    }
+    
+    // Save the selected style, for this deck and as the provider's default
+    state.imageStyle = elements.imageStyleSelect.value;
+    Providers.setProviderStyle(provider, state.imageStyle);
+    
+    state.imageBounds = [];
+    state.variants = [];
+    await runImageGeneration(false);
+}
+
+/**
+ * Run image generation on the generate step
+ * @param {boolean} resume - Continue the run interrupted by a page reload instead of starting a new one
+ */
+async function runImageGeneration(resume) {
+    goToStep(3);
+    initializeImageGrid();
+    state.duplicatePairs = [];
+    renderDuplicatePairs();
+    
+    // Reset progress text with correct count
+    elements.imageProgressText.textContent = `0 / ${state.symbolCount} images generated`;
+    
+    // Reset button states
+    elements.btnContinueToPrint.classList.add('hidden');
+    elements.btnResumeGeneration.classList.add('hidden');
+    elements.btnPauseGeneration.classList.remove('hidden');
+    elements.btnPauseGeneration.disabled = false;
+    elements.btnPauseGeneration.textContent = 'Pause';
+    elements.btnCancelGeneration.textContent = 'Cancel';
+    
+    closeSymbolEditor();
+    state.abortController = new AbortController();
+    state.pauseController = new AbortController();
+    state.generationPaused = false;
+    state.images = [];
+    state.thumbnails = [];
+    state.isGenerating = true;
+    
+    const onProgress = (current, total, status, timeLeft) => {
+        const progress = (current / total) * 100;
+        elements.imageProgressFill.style.width = `${progress}%`;
+        elements.imageProgressText.textContent = timeLeft
+            ? `${current} / ${total} images generated · about ${formatDuration(timeLeft)} left`
+            : `${current} / ${total} images generated`;
+    };
+    const onImageComplete = async (index, imageData, error) => {
+        updateImageCell(index, await setSymbolImage(index, imageData), error);
+        if (imageData) {
+            analyzeSymbolImage(index, imageData);
+        }
+    };
+    
+    try {
+        const images = resume
+            ? await API.resumeImageJobs(
+                onProgress,
+                onImageComplete,
+                state.abortController.signal,
+                withinImageBudget,
+                state.pauseController.signal,
+                getDeckImageStyle()
+            )
+            : await API.generateAllImages(
+                state.descriptions,
+                onProgress,
+                onImageComplete,
+                state.abortController.signal,
+                state.descriptions.map((description, i) => getSymbolPrompt(i)),
+                withinImageBudget,
+                state.pauseController.signal,
+                getDeckImageStyle()
+            );
+        await setImages(images);
+        
+        // Re-pack layouts around the visible subjects
+        await refreshImageBounds();
+        detectDuplicateImages();
+        
+        const successCount = state.images.filter(img => img).length;
+        const remaining = state.symbolCount - successCount;
+        if (API.hasUnfinishedImageJobs()) {
+            // Paused by the user or the budget; the rest stays queued
+            state.generationPaused = true;
+            elements.btnResumeGeneration.classList.remove('hidden');
+            elements.imageProgressText.textContent = `Paused · ${successCount} / ${state.symbolCount} images generated`;
+            if (state.pauseController.signal.aborted) {
+                showToast(`Generation paused with ${remaining} images left.`, 'info');
+            } else {
+                showToast(`Budget reached: ${remaining} images left. Raise the budget to resume.`, 'warning');
+            }
+        } else if (successCount < state.symbolCount) {
             showToast(`Generated ${successCount}/${state.symbolCount} images. Some failed.`, 'warning');
         } else {
             showToast('All images generated! Review them and continue when ready.', 'success');
@@ -549,6 +1386,8 @@ async function startImageGeneration() {
         elements.btnContinueToPrint.classList.remove('hidden');
         elements.btnCancelGeneration.textContent = 'Back to Symbols';
         saveState();
+        renderStorageUsage();
+        updateProjectThumbnail();
         
     } catch (error) {
         if (error.message === 'Generation cancelled') {
@@ -557,43 +1396,562 @@ async function startImageGeneration() {
         } else {
             showToast(error.message, 'error');
         }
+    } finally {
+        state.isGenerating = false;
+        state.pauseController = null;
+        elements.btnPauseGeneration.classList.add('hidden');
+    }
+}
+
+/**
+ * Pause image generation: no new images are started, and the run stops
+ * once the images already in progress have finished
+ */
+function pauseGeneration() {
+    if (!state.pauseController) return;
+    state.pauseController.abort();
+    elements.btnPauseGeneration.disabled = true;
+    elements.btnPauseGeneration.textContent = 'Pausing...';
+}
+
+/**
+ * Format a duration for the progress text, e.g. "40 sec" or "3 min"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) {
+        return `${Math.max(5, Math.ceil(seconds / 5) * 5)} sec`;
+    }
+    return `${Math.ceil(seconds / 60)} min`;
+}
+
+/**
+ * Resume a paused run (by the user or the budget) where it stopped
+ */
+function resumeGeneration() {
+    if (state.isGenerating) return;
+    if (!withinImageBudget(0)) {
+        showToast('The budget is used up. Raise it on the Symbols step to continue.', 'warning');
+        return;
     }
+    runImageGeneration(true);
+}
+
+/**
+ * Check whether one more image fits the project budget
+ * Credits and cost per image are estimated from the images charged so far.
+ * Before the first charge there is nothing to estimate from, so with a credit
+ * or cost cap only one image may be in flight until it has been charged.
+ * @param {number} inFlight - Images started but not charged yet
+ * @returns {boolean}
+ */
+function withinImageBudget(inFlight) {
+    const { usage, budget } = state;
+    const upcoming = inFlight + 1;
+    const perImage = (total) => usage.images > 0 ? total / usage.images : 0;
+    
+    if (budget.maxImages !== null && usage.images + upcoming > budget.maxImages) {
+        return false;
+    }
+    const capsSpend = budget.maxCredits !== null || budget.maxCost !== null;
+    if (capsSpend && usage.images === 0 && inFlight > 0) {
+        return false;
+    }
+    if (budget.maxCredits !== null && usage.credits + perImage(usage.credits) * upcoming > budget.maxCredits) {
+        return false;
+    }
+    if (budget.maxCost !== null && usage.cost + perImage(usage.imageCost) * upcoming > budget.maxCost) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Add API usage reported by the API module to the project totals
+ * @param {Object} usage - Usage increments { promptTokens, completionTokens, images, credits, cost }
+ */
+function handleUsage(usage) {
+    state.usage.promptTokens += usage.promptTokens;
+    state.usage.completionTokens += usage.completionTokens;
+    state.usage.images += usage.images;
+    state.usage.credits += usage.credits;
+    state.usage.cost += usage.cost;
+    if (usage.images > 0) {
+        state.usage.imageCost += usage.cost;
+    }
+    renderUsage();
+    saveState();
+}
+
+/**
+ * Show the project's API usage under the step indicator
+ */
+function renderUsage() {
+    const { promptTokens, completionTokens, images, credits, cost } = state.usage;
+    const tokens = promptTokens + completionTokens;
+    const parts = [];
+    
+    if (tokens > 0) parts.push(`${tokens.toLocaleString()} tokens`);
+    if (images > 0) parts.push(`${images} ${images === 1 ? 'image' : 'images'}`);
+    if (credits > 0) parts.push(`${credits.toLocaleString()} credits`);
+    if (cost > 0) parts.push(`~$${cost.toFixed(2)}`);
+    
+    elements.usageSummary.textContent = parts.length > 0 ? `This project: ${parts.join(' · ')}` : '';
+}
+
+/**
+ * Tell the user an image could not be saved (nothing is deleted to make room)
+ * @param {Error} error - Save error
+ */
+function handleStorageError(error) {
+    // One toast per problem is enough while a whole run fails to save
+    if (state.storageError !== error.message) {
+        showToast(error.message, 'error');
+    }
+    state.storageError = error.message;
+    renderStorageUsage();
+}
+
+/**
+ * Show how much browser storage the saved images take
+ */
+async function renderStorageUsage() {
+    const estimate = await Storage.getStorageUsage();
+    if (!estimate) {
+        elements.storageUsage.textContent = '';
+        return;
+    }
+    
+    const formatBytes = (bytes) => bytes >= 1e9
+        ? `${(bytes / 1e9).toFixed(1)} GB`
+        : `${(bytes / 1e6).toFixed(1)} MB`;
+    elements.storageUsage.textContent = `Browser storage: ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used`;
+    elements.storageUsage.classList.toggle('text-red-400', Boolean(state.storageError));
+}
+
+/**
+ * Fill the budget inputs from state
+ */
+function initializeBudgetControls() {
+    elements.budgetImagesInput.value = state.budget.maxImages ?? '';
+    elements.budgetCreditsInput.value = state.budget.maxCredits ?? '';
+    elements.budgetCostInput.value = state.budget.maxCost ?? '';
+}
+
+/**
+ * Read the budget inputs into state (blank or invalid means no limit)
+ */
+function handleBudgetChange() {
+    const readLimit = (input) => {
+        const value = parseFloat(input.value);
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    };
+    
+    state.budget = {
+        maxImages: readLimit(elements.budgetImagesInput),
+        maxCredits: readLimit(elements.budgetCreditsInput),
+        maxCost: readLimit(elements.budgetCostInput)
+    };
+    initializeBudgetControls();
+    saveState();
+}
+
+/**
+ * Detect the visible subject of a symbol image (once per image)
+ * @returns {Promise<boolean>} True if new bounds were stored
+ */
+async function analyzeSymbolImage(index, imageData) {
+    if (state.imageBounds[index]) return false;
+    try {
+        state.imageBounds[index] = await Images.analyzeImage(imageData);
+        return true;
+    } catch (e) {
+        console.warn(`Failed to analyze image ${index}:`, e);
+        return false;
+    }
+}
+
+/**
+ * Analyze any images that have no subject bounds yet and rebuild layouts if needed
+ */
+async function refreshImageBounds() {
+    const results = await Promise.all(
+        state.images.map((imageData, i) => (imageData ? analyzeSymbolImage(i, imageData) : false))
+    );
+    if (!results.some(Boolean)) return;
+    
+    generateCardLayouts();
+    if (state.currentStep === 4) {
+        renderCardsPreview();
+        preparePrintContainer();
+    }
+    saveState();
 }
 
 /**
  * Initialize image grid
  */
-function initializeImageGrid() {
-    const grid = elements.generatedImagesGrid;
-    grid.innerHTML = '';
+function initializeImageGrid() {
+    const grid = elements.generatedImagesGrid;
+    grid.innerHTML = '';
+    
+    for (let i = 0; i < state.symbolCount; i++) {
+        const cell = document.createElement('div');
+        cell.className = 'symbol-cell';
+        cell.id = `image-cell-${i}`;
+        cell.title = state.descriptions[i] || `Symbol ${i + 1}`;
+        cell.innerHTML = `
+            <div class="w-6 h-6 border-2 border-surface-500 border-t-accent-orange rounded-full animate-spin"></div>
+        `;
+        grid.appendChild(cell);
+    }
+}
+
+/**
+ * Update image cell
+ */
+function updateImageCell(index, imageData, error = null) {
+    const cell = document.getElementById(`image-cell-${index}`);
+    if (!cell) return;
+    
+    if (error) {
+        cell.classList.add('border-red-400');
+        cell.innerHTML = `<span class="text-red-400 text-xs">!</span>`;
+        cell.title = `Error: ${error.message}`;
+    } else if (imageData) {
+        cell.classList.remove('border-red-400');
+        cell.classList.add('border-emerald-500');
+        cell.innerHTML = `<img src="${imageData}" alt="${escapeHtml(state.descriptions[index] || '')}" class="w-full h-full object-contain bg-white">`;
+        cell.title = state.descriptions[index] || `Symbol ${index + 1}`;
+    }
+}
+
+/**
+ * Flag generated images that look too much alike (e.g. "orange" and "tangerine")
+ * Runs entirely in the browser using perceptual hashes and colour histograms
+ */
+async function detectDuplicateImages() {
+    const signatures = await Promise.all(state.images.map(async (imageData, i) => {
+        if (!imageData) return null;
+        try {
+            return await Images.computeImageSignature(imageData, state.imageBounds[i]);
+        } catch (e) {
+            console.warn(`Failed to compute signature for image ${i}:`, e);
+            return null;
+        }
+    }));
+    
+    state.duplicatePairs = Images.findSimilarPairs(signatures);
+    renderDuplicatePairs();
+}
+
+/**
+ * Highlight flagged pairs in the image grid and list them with fix-up actions
+ */
+function renderDuplicatePairs() {
+    const flagged = new Map(); // index -> indices it resembles
+    state.duplicatePairs.forEach(({ a, b }) => {
+        if (!flagged.has(a)) flagged.set(a, []);
+        if (!flagged.has(b)) flagged.set(b, []);
+        flagged.get(a).push(b);
+        flagged.get(b).push(a);
+    });
+    
+    for (let i = 0; i < state.symbolCount; i++) {
+        const cell = document.getElementById(`image-cell-${i}`);
+        if (!cell) continue;
+        const similar = flagged.get(i);
+        cell.classList.toggle('symbol-cell-duplicate', !!similar);
+        if (similar) {
+            cell.title = `${state.descriptions[i]} - looks similar to ${similar.map(j => state.descriptions[j]).join(', ')}`;
+        }
+    }
+    
+    const panel = elements.duplicatesPanel;
+    if (!panel) return;
+    
+    if (state.duplicatePairs.length === 0) {
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+        return;
+    }
+    
+    const symbolHtml = (index) => `
+        <div class="flex items-center gap-2 flex-1 min-w-0">
+            <img src="${state.thumbnails[index]}" alt="" class="w-10 h-10 object-contain bg-white rounded-lg">
+            <span class="truncate">${escapeHtml(state.descriptions[index] || `Symbol ${index + 1}`)}</span>
+            <button class="btn btn-ghost px-2 py-1 text-xs" data-action="regenerate" data-index="${index}">Regenerate</button>
+            <button class="btn btn-ghost px-2 py-1 text-xs" data-action="swap" data-index="${index}">Swap…</button>
+        </div>
+    `;
+    
+    panel.classList.remove('hidden');
+    panel.innerHTML = `
+        <p class="font-semibold text-amber-400 mb-3">${state.duplicatePairs.length} pair(s) of symbols look very similar</p>
+        <div class="space-y-2">
+            ${state.duplicatePairs.map(({ a, b, similarity }) => `
+                <div class="flex items-center gap-3 flex-wrap">
+                    ${symbolHtml(a)}
+                    <span class="text-xs text-gray-500">${Math.round(similarity * 100)}% alike</span>
+                    ${symbolHtml(b)}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Handle regenerate/swap buttons in the duplicates panel
+ */
+function handleDuplicateAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const index = parseInt(button.dataset.index);
+    if (button.dataset.action === 'regenerate') {
+        regenerateSymbol(index, state.descriptions[index], state.customPrompts[index]);
+    } else if (button.dataset.action === 'swap') {
+        // Pick a different symbol: edit the description in the symbol editor
+        openSymbolEditor(index);
+        elements.editorDescription.select();
+    }
+}
+
+/**
+ * Open the symbol editor when a finished image cell is clicked
+ */
+function handleImageCellClick(event) {
+    const cell = event.target.closest('.symbol-cell');
+    if (!cell) return;
+    
+    if (state.isGenerating) {
+        showToast('Wait for image generation to finish before editing symbols', 'warning');
+        return;
+    }
+    
+    openSymbolEditor(parseInt(cell.id.replace('image-cell-', '')));
+}
+
+/**
+ * Show the editor for one symbol: description, prompt and earlier variants
+ */
+function openSymbolEditor(index) {
+    state.editingSymbol = index;
+    const description = state.descriptions[index] || '';
+    
+    elements.symbolEditorTitle.textContent = `Symbol ${index + 1}`;
+    elements.editorDescription.value = description;
+    elements.editorPrompt.value = state.customPrompts[index] || buildSymbolPrompt(description);
+    elements.editorPrompt.dataset.edited = state.customPrompts[index] ? 'true' : '';
+    elements.symbolEditor.classList.remove('hidden');
+    
+    document.querySelectorAll('.symbol-cell-editing').forEach(cell => cell.classList.remove('symbol-cell-editing'));
+    document.getElementById(`image-cell-${index}`)?.classList.add('symbol-cell-editing');
+    
+    renderVariants();
+    elements.symbolEditor.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Close the symbol editor
+ */
+function closeSymbolEditor() {
+    state.editingSymbol = null;
+    elements.symbolEditor.classList.add('hidden');
+    document.querySelectorAll('.symbol-cell-editing').forEach(cell => cell.classList.remove('symbol-cell-editing'));
+}
+
+/**
+ * Keep the prompt in sync with the description unless it was edited by hand
+ */
+function handleEditorDescriptionInput() {
+    if (state.editingSymbol === null || elements.editorPrompt.dataset.edited) return;
+    elements.editorPrompt.value = buildSymbolPrompt(elements.editorDescription.value.trim());
+}
+
+/**
+ * Restore the default prompt for the current description
+ */
+function resetEditorPrompt() {
+    const index = state.editingSymbol;
+    if (index === null) return;
+    state.customPrompts[index] = null;
+    elements.editorPrompt.value = buildSymbolPrompt(elements.editorDescription.value.trim());
+    elements.editorPrompt.dataset.edited = '';
+    saveState();
+}
+
+/**
+ * Generate a new variant with the description and prompt from the editor
+ */
+async function generateVariantFromEditor() {
+    const index = state.editingSymbol;
+    if (index === null) return;
+    
+    const description = elements.editorDescription.value.trim();
+    if (!description) {
+        showToast('Please enter a description', 'warning');
+        return;
+    }
+    
+    // Only remember the prompt if it differs from the default
+    const prompt = elements.editorPrompt.value.trim();
+    state.customPrompts[index] = prompt && prompt !== buildSymbolPrompt(description) ? prompt : null;
+    
+    elements.btnGenerateVariant.disabled = true;
+    try {
+        await regenerateSymbol(index, description, state.customPrompts[index]);
+    } finally {
+        elements.btnGenerateVariant.disabled = false;
+    }
+}
+
+/**
+ * Render the variant history for the symbol being edited
+ */
+function renderVariants() {
+    const index = state.editingSymbol;
+    if (index === null) return;
+    
+    const variants = state.variants[index] || [];
+    if (variants.length === 0) {
+        elements.editorVariants.innerHTML = `<p class="text-sm text-gray-500">Generated variants will appear here so you can pick between them.</p>`;
+        return;
+    }
+    
+    elements.editorVariants.innerHTML = variants.map((variant, i) => `
+        <button class="variant-thumb ${variant.imageData === state.images[index] ? 'variant-thumb-selected' : ''}"
+                data-variant="${i}" title="${escapeHtml(variant.description)}">
+            <img src="${variant.thumbnail}" alt="${escapeHtml(variant.description)}" class="w-full h-full object-contain">
+        </button>
+    `).join('');
+}
+
+/**
+ * Pick an earlier variant as the symbol's image
+ */
+function handleVariantClick(event) {
+    const button = event.target.closest('button[data-variant]');
+    const index = state.editingSymbol;
+    if (!button || index === null) return;
+    
+    const variant = state.variants[index][parseInt(button.dataset.variant)];
+    setSymbol(index, variant.description, variant.imageData);
+    elements.editorDescription.value = variant.description;
+    renderVariants();
+}
+
+/**
+ * Remember an image (and its thumbnail, for the editor) in the symbol's variant history
+ */
+function addVariant(index, description, imageData, thumbnail) {
+    if (!imageData) return;
+    if (!state.variants[index]) state.variants[index] = [];
+    if (!state.variants[index].some(variant => variant.imageData === imageData)) {
+        state.variants[index].push({ description, imageData, thumbnail });
+    }
+}
+
+/**
+ * Generate a new image for a single symbol, optionally with a new description or prompt
+ * The previous image is kept as a variant
+ */
+async function regenerateSymbol(index, description, prompt = null) {
+    if (!withinImageBudget(0)) {
+        showToast('The budget is used up. Raise it on the Symbols step to generate more images.', 'warning');
+        return;
+    }
+    
+    const cell = document.getElementById(`image-cell-${index}`);
+    if (cell) {
+        cell.classList.remove('border-emerald-500', 'border-red-400');
+        cell.innerHTML = `<div class="w-6 h-6 border-2 border-surface-500 border-t-accent-orange rounded-full animate-spin"></div>`;
+    }
+    
+    addVariant(index, state.descriptions[index], state.images[index], state.thumbnails[index]);
+    
+    // Counted so the deck can't be switched, deleted or replaced under it (see isGeneratingImages)
+    state.regenerating++;
+    try {
+        const imageData = await API.generateImage(description, index, prompt || buildSymbolPrompt(description), {
+            style: getDeckImageStyle()
+        });
+        await setSymbol(index, description, imageData);
+        addVariant(index, description, imageData, state.thumbnails[index]);
+        renderVariants();
+        showToast(`Regenerated "${description}"`, 'success');
+    } catch (error) {
+        updateImageCell(index, state.thumbnails[index], state.images[index] ? null : error);
+        showToast(`Failed to regenerate "${description}": ${error.message}`, 'error');
+    } finally {
+        state.regenerating--;
+    }
+}
+
+/**
+ * Check whether images are being made for the open deck: a full run, or
+ * single symbols being regenerated
+ * @returns {boolean}
+ */
+function isGeneratingImages() {
+    return state.isGenerating || state.regenerating > 0;
+}
+
+/**
+ * Replace a symbol's description and image everywhere (state, cache, inputs, layouts)
+ */
+async function setSymbol(index, description, imageData) {
+    const before = snapshotDeck(['descriptions']);
+    const replaced = imageData !== state.images[index] ? [index] : [];
+    
+    state.descriptions[index] = description;
+    const input = elements.symbolsGrid.querySelector(`input[data-index="${index}"]`);
+    if (input) input.value = description;
+    renderPromptPreview();
+    
+    state.imageBounds[index] = null;
+    await recordDeckEdit('image replacement', before, replaced);
+    Storage.saveImage(index, imageData).then(renderStorageUsage);
+    updateImageCell(index, await setSymbolImage(index, imageData));
+    updateProjectThumbnail();
+    
+    refreshImageBounds().then(detectDuplicateImages);
+    saveState();
+}
+
+/**
+ * Set a symbol's image and make its thumbnail
+ * @param {number} index - Symbol index
+ * @param {string|null} imageData - Image data URL
+ * @returns {Promise<string|null>} The thumbnail
+ */
+async function setSymbolImage(index, imageData) {
+    state.images[index] = imageData;
+    state.thumbnails[index] = null;
+    const thumbnail = imageData ? await Images.createSymbolThumbnail(imageData) : null;
     
-    for (let i = 0; i < state.symbolCount; i++) {
-        const cell = document.createElement('div');
-        cell.className = 'symbol-cell';
-        cell.id = `image-cell-${i}`;
-        cell.title = state.descriptions[i] || `Symbol ${i + 1}`;
-        cell.innerHTML = `
-            <div class="w-6 h-6 border-2 border-surface-500 border-t-accent-orange rounded-full animate-spin"></div>
-        `;
-        grid.appendChild(cell);
+    // The image may have been replaced again while the thumbnail was made
+    if (state.images[index] === imageData) {
+        state.thumbnails[index] = thumbnail;
     }
+    return thumbnail;
 }
 
 /**
- * Update image cell
+ * Replace every symbol image, keeping the thumbnails of images that didn't change
+ * @param {(string|null)[]} images - Image data URLs by symbol index
  */
-function updateImageCell(index, imageData, error = null) {
-    const cell = document.getElementById(`image-cell-${index}`);
-    if (!cell) return;
-    
-    if (error) {
-        cell.classList.add('border-red-400');
-        cell.innerHTML = `<span class="text-red-400 text-xs">!</span>`;
-        cell.title = `Error: ${error.message}`;
-    } else if (imageData) {
-        cell.classList.add('border-emerald-500');
-        cell.innerHTML = `<img src="${imageData}" alt="${state.descriptions[index]}" class="w-full h-full object-contain">`;
-    }
+async function setImages(images) {
+    const previous = state.images;
+    const thumbnails = state.thumbnails;
+    state.images = images;
+    state.thumbnails = await Promise.all(images.map((imageData, i) => {
+        if (!imageData) return null;
+        if (previous[i] === imageData && thumbnails[i]) return thumbnails[i];
+        return Images.createSymbolThumbnail(imageData);
+    }));
 }
 
 /**
@@ -616,6 +1974,96 @@ function renderCardsPreview() {
         const cardEl = createCardElement(card, state.layouts[cardIndex], 180);
         container.appendChild(cardEl);
     });
+    
+    renderValidationReport();
+}
+
+/**
+ * Validate the deck and render the report; PDF download is only enabled for a valid deck
+ */
+function renderValidationReport() {
+    const report = Algorithm.validateDeck({
+        cards: state.cards,
+        symbolCount: state.symbolCount,
+        layouts: state.layouts,
+        layoutMode: state.layoutMode,
+        images: state.images,
+        descriptions: state.descriptions
+    });
+    state.validationReport = report;
+    elements.btnDownloadPdf.disabled = !report.valid;
+    
+    const container = elements.validationReport;
+    if (!container) return;
+    
+    const describeSymbols = (indices) => {
+        const shown = indices.slice(0, 10).map(i => escapeHtml(state.descriptions[i] || `Symbol ${i + 1}`));
+        const more = indices.length > 10 ? ` and ${indices.length - 10} more` : '';
+        return shown.join(', ') + more;
+    };
+    
+    const frequencies = report.symbolFrequency;
+    const minFrequency = Math.min(...frequencies);
+    const maxFrequency = Math.max(...frequencies);
+    const minPerCard = Math.min(...report.symbolsPerCard);
+    const maxPerCard = Math.max(...report.symbolsPerCard);
+    const range = (min, max) => (min === max ? `${min}` : `${min}–${max}`);
+    
+    const rows = [];
+    rows.push(report.valid
+        ? `<p class="font-semibold text-emerald-400">✓ Deck is valid and ready to print</p>`
+        : `<p class="font-semibold text-red-400">✗ Deck has problems that must be fixed before downloading</p>`);
+    
+    rows.push(`
+        <ul class="mt-3 space-y-1 text-gray-400">
+            <li>${report.cardCount} cards, ${report.symbolCount} symbols</li>
+            <li>Symbols per card: ${range(minPerCard, maxPerCard)}</li>
+            <li>Each symbol appears on ${range(minFrequency, maxFrequency)} cards</li>
+            <li>Card pairs with exactly one match: ${report.pairErrors.length === 0 ? 'all' : `${report.pairErrors.length} failing`}</li>
+        </ul>
+    `);
+    
+    const problems = [];
+    report.pairErrors.slice(0, 10).forEach(({ cardA, cardB, shared }) => {
+        problems.push(`Cards ${cardA + 1} and ${cardB + 1} share ${shared.length} symbols${shared.length ? `: ${describeSymbols(shared)}` : ''}`);
+    });
+    if (report.pairErrors.length > 10) {
+        problems.push(`…and ${report.pairErrors.length - 10} more card pairs`);
+    }
+    if (report.missingImages.length > 0) {
+        problems.push(`Missing images: ${describeSymbols(report.missingImages)}`);
+    }
+    report.overlaps.slice(0, 10).forEach(({ card, symbolA, symbolB }) => {
+        problems.push(`Card ${card + 1}: ${describeSymbols([symbolA])} overlaps ${describeSymbols([symbolB])}`);
+    });
+    if (report.overlaps.length > 10) {
+        problems.push(`…and ${report.overlaps.length - 10} more overlaps`);
+    }
+    if (problems.length > 0) {
+        rows.push(`<ul class="mt-3 space-y-1 text-red-400">${problems.map(p => `<li>${p}</li>`).join('')}</ul>`);
+    }
+    
+    const notes = [];
+    if (report.missingDescriptions.length > 0) {
+        notes.push(`Missing descriptions: ${report.missingDescriptions.map(i => `#${i + 1}`).join(', ')}`);
+    }
+    if (report.unusedSymbols.length > 0) {
+        notes.push(`Unused symbols: ${describeSymbols(report.unusedSymbols)}`);
+    }
+    if (notes.length > 0) {
+        rows.push(`<ul class="mt-3 space-y-1 text-amber-400">${notes.map(n => `<li>${n}</li>`).join('')}</ul>`);
+    }
+    
+    container.innerHTML = rows.join('');
+}
+
+/**
+ * Escape text for safe use inside innerHTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
 }
 
 /**
@@ -623,7 +2071,7 @@ function renderCardsPreview() {
  */
 function createCardElement(symbolIndices, layout, size) {
     const card = document.createElement('div');
-    card.className = 'card-square';
+    card.className = state.layoutMode === 'circle' ? 'card-round' : 'card-square';
     card.style.width = `${size}px`;
     card.style.height = `${size}px`;
     
@@ -631,34 +2079,81 @@ function createCardElement(symbolIndices, layout, size) {
     
     symbolIndices.forEach((symbolIndex, i) => {
         const pos = layout[i];
-        const imageData = state.images[symbolIndex];
+        const thumbnail = state.thumbnails[symbolIndex];
         
-        if (imageData && pos) {
-            const symbol = document.createElement('div');
-            symbol.className = 'absolute flex items-center justify-center';
-            symbol.style.left = `${pos.x * scale}px`;
-            symbol.style.top = `${pos.y * scale}px`;
-            symbol.style.width = `${pos.size * scale}px`;
-            symbol.style.height = `${pos.size * scale}px`;
-            symbol.style.transform = `rotate(${pos.rotation}deg)`;
-            
-            const img = document.createElement('img');
-            img.src = imageData;
-            img.alt = state.descriptions[symbolIndex];
-            img.className = 'w-full h-full object-contain';
-            
-            symbol.appendChild(img);
-            card.appendChild(symbol);
+        if (thumbnail && pos) {
+            const alt = state.descriptions[symbolIndex];
+            card.appendChild(createSymbolElement(thumbnail, pos, alt, value => `${value * scale}px`));
         }
     });
     
     return card;
 }
 
+/**
+ * Create a positioned symbol for a card
+ * @param {string} imageData - Image data URL
+ * @param {Object} pos - Layout position {x, y, size, rotation, crop}
+ * @param {string} alt - Alt text
+ * @param {function} toCss - Converts layout units (200px card) to a CSS length
+ */
+function createSymbolElement(imageData, pos, alt, toCss) {
+    const symbol = document.createElement('div');
+    symbol.className = 'absolute flex items-center justify-center';
+    symbol.style.left = toCss(pos.x);
+    symbol.style.top = toCss(pos.y);
+    symbol.style.width = toCss(pos.size);
+    symbol.style.height = toCss(pos.size);
+    symbol.style.transform = `rotate(${pos.rotation}deg)`;
+    
+    const img = document.createElement('img');
+    img.src = imageData;
+    img.alt = alt;
+    
+    if (pos.crop) {
+        // Clip to the subject box, then scale and shift the full image so the subject fills it
+        const rect = Images.getCropRect(pos.crop, 100);
+        const clip = document.createElement('div');
+        clip.className = 'absolute overflow-hidden';
+        clip.style.left = `${rect.x}%`;
+        clip.style.top = `${rect.y}%`;
+        clip.style.width = `${rect.width}%`;
+        clip.style.height = `${rect.height}%`;
+        
+        img.className = 'absolute max-w-none';
+        img.style.width = `${100 / pos.crop.width}%`;
+        img.style.height = `${100 / pos.crop.height}%`;
+        img.style.left = `${-pos.crop.x / pos.crop.width * 100}%`;
+        img.style.top = `${-pos.crop.y / pos.crop.height * 100}%`;
+        
+        clip.appendChild(img);
+        symbol.appendChild(clip);
+    } else {
+        img.className = 'w-full h-full object-contain';
+        symbol.appendChild(img);
+    }
+    
+    return symbol;
+}
+
 /**
  * Prepare print container
+ * Symbols are scaled down from their masters to what PRINT_CARD_SIZE needs at print DPI.
  */
-function preparePrintContainer() {
+async function preparePrintContainer() {
+    const build = ++state.printBuild;
+    const sizes = PDF.getPrintSizes(state.cards, state.layouts, PRINT_CARD_SIZE);
+    const printImages = await Promise.all(state.images.map(async (imageData, i) => {
+        if (!imageData || !sizes[i]) return null;
+        try {
+            return await Images.resizeImage(imageData, sizes[i]);
+        } catch (e) {
+            console.warn(`Failed to resize image ${i} for printing:`, e);
+            return imageData;
+        }
+    }));
+    if (build !== state.printBuild) return;
+    
     const container = elements.printContainer;
     container.innerHTML = '';
     
@@ -676,7 +2171,7 @@ function preparePrintContainer() {
         const endCard = Math.min(startCard + cardsPerPage, state.cards.length);
         
         for (let i = startCard; i < endCard; i++) {
-            const cardEl = createPrintCard(state.cards[i], state.layouts[i]);
+            const cardEl = createPrintCard(state.cards[i], state.layouts[i], printImages);
             grid.appendChild(cardEl);
         }
         
@@ -687,31 +2182,21 @@ function preparePrintContainer() {
 
 /**
  * Create print card
+ * @param {number[]} symbolIndices - Symbols on the card
+ * @param {Object[]} layout - Symbol positions
+ * @param {(string|null)[]} printImages - Symbol images at print resolution
  */
-function createPrintCard(symbolIndices, layout) {
+function createPrintCard(symbolIndices, layout, printImages) {
     const card = document.createElement('div');
-    card.className = 'print-card';
+    card.className = state.layoutMode === 'circle' ? 'print-card print-card-round' : 'print-card';
     
     symbolIndices.forEach((symbolIndex, i) => {
         const pos = layout[i];
-        const imageData = state.images[symbolIndex];
+        const imageData = printImages[symbolIndex];
         
         if (imageData && pos) {
-            const symbol = document.createElement('div');
-            symbol.className = 'absolute flex items-center justify-center';
-            symbol.style.left = `${pos.x / 200 * 100}%`;
-            symbol.style.top = `${pos.y / 200 * 100}%`;
-            symbol.style.width = `${pos.size / 200 * 100}%`;
-            symbol.style.height = `${pos.size / 200 * 100}%`;
-            symbol.style.transform = `rotate(${pos.rotation}deg)`;
-            
-            const img = document.createElement('img');
-            img.src = imageData;
-            img.alt = state.descriptions[symbolIndex];
-            img.className = 'w-full h-full object-contain';
-            
-            symbol.appendChild(img);
-            card.appendChild(symbol);
+            const alt = state.descriptions[symbolIndex];
+            card.appendChild(createSymbolElement(imageData, pos, alt, value => `${value / 200 * 100}%`));
         }
     });
     
@@ -722,6 +2207,11 @@ function createPrintCard(symbolIndices, layout) {
  * Download PDF
  */
 async function downloadPdf() {
+    if (state.validationReport && !state.validationReport.valid) {
+        showToast('Fix the problems in the deck report before downloading', 'error');
+        return;
+    }
+    
     const btn = elements.btnDownloadPdf;
     btn.disabled = true;
     const originalText = btn.innerHTML;
@@ -734,7 +2224,8 @@ async function downloadPdf() {
             state.layouts,
             (current, total, status) => {
                 btn.innerHTML = `<span class="animate-spin">⏳</span> ${status}`;
-            }
+            },
+            { layoutMode: state.layoutMode, imageBounds: state.imageBounds }
         );
         showToast('PDF downloaded!', 'success');
     } catch (error) {
@@ -746,26 +2237,274 @@ async function downloadPdf() {
 }
 
 /**
- * Start over - clear all state and restart
+ * Copy deck fields, to record an edit once it has been made
+ * @param {string[]} fields - State fields (defaults to every field undo covers)
+ * @returns {Object}
+ */
+function snapshotDeck(fields = HISTORY_FIELDS) {
+    return Object.fromEntries(fields.map(field => [field, structuredClone(state[field])]));
+}
+
+/**
+ * Record an edit that has just been made, so it can be undone
+ * Only fields that actually changed are kept.
+ * @param {string} label - What the edit did, e.g. "description edit"
+ * @param {Object} before - Fields before the edit (see snapshotDeck)
+ * @param {number[]} replacedImages - Symbols whose image the edit is about to replace;
+ *   await the edit being recorded before saving the new images, so the old ones are kept
+ *   (an image that could not be kept is left out of the entry rather than undone to nothing)
+ * @returns {Promise<void>}
+ */
+async function recordDeckEdit(label, before, replacedImages = []) {
+    const fields = {};
+    Object.entries(before).forEach(([field, value]) => {
+        if (JSON.stringify(value) !== JSON.stringify(state[field])) {
+            fields[field] = value;
+        }
+    });
+    
+    const images = {};
+    for (const index of replacedImages) {
+        const slot = History.createImageSlot();
+        if (await Storage.keepHistoryImage(slot, index)) {
+            images[index] = slot;
+        }
+    }
+    
+    if (Object.keys(fields).length === 0 && Object.keys(images).length === 0) return;
+    History.recordEdit(label, fields, images);
+    renderHistoryButtons();
+}
+
+/**
+ * Undo the last deck edit
+ */
+function undoEdit() {
+    return stepHistory(History.undo, 'Undo');
+}
+
+/**
+ * Redo the last undone deck edit
+ */
+function redoEdit() {
+    return stepHistory(History.redo, 'Redo');
+}
+
+/**
+ * Undo or redo, then report what changed
+ * @param {function} step - History.undo or History.redo
+ * @param {string} action - 'Undo' or 'Redo', for messages
+ */
+async function stepHistory(step, action) {
+    if (isGeneratingImages()) {
+        showToast(`Wait for image generation to finish, or pause it, before using ${action.toLowerCase()}`, 'warning');
+        return;
+    }
+    
+    try {
+        const entry = await step(applyHistoryEntry);
+        if (entry) {
+            showToast(`${action}: ${entry.label}`, 'info');
+        }
+    } catch (error) {
+        console.error(`${action} failed:`, error);
+        showToast(`${action} failed: ${error.message}`, 'error');
+    }
+    renderHistoryButtons();
+}
+
+/**
+ * Apply an undo or redo entry: swap its fields and images with the current
+ * ones (the entry then holds what was replaced), and refresh every step
+ * @param {Object} entry - History entry
+ */
+async function applyHistoryEntry(entry) {
+    Object.entries(entry.fields).forEach(([field, value]) => {
+        entry.fields[field] = state[field];
+        state[field] = value;
+    });
+    const imageIndices = Object.keys(entry.images).map(Number);
+    for (const index of imageIndices) {
+        await setSymbolImage(index, await Storage.swapHistoryImage(index, entry.images[index]));
+        state.imageBounds[index] = null;
+    }
+    
+    const changed = Object.keys(entry.fields);
+    const resized = changed.includes('order') || changed.includes('cardCount');
+    if (resized) {
+        generateCardConfigurations();
+        // Images of symbols left out of a smaller deck are still stored
+        state.images = await Storage.loadImages(state.symbolCount);
+        state.thumbnails = await Storage.loadThumbnails(state.symbolCount);
+    } else if (changed.includes('seed')) {
+        generateCardConfigurations();
+    } else if (changed.some(field => ['layoutMode', 'difficulty'].includes(field))) {
+        generateCardLayouts();
+    }
+    
+    elements.symbolCountSelect.value = Algorithm.getTotalSymbols(state.order).toString();
+    updateCardCountInput();
+    elements.layoutModeSelect.value = state.layoutMode;
+    elements.difficultySelect.value = state.difficulty;
+    elements.seedInput.value = state.seed;
+    initializeSymbolsGrid();
+    checkSymbolsComplete();
+    updateCountDisplays();
+    
+    if (state.editingSymbol !== null && state.editingSymbol < state.symbolCount) {
+        openSymbolEditor(state.editingSymbol);
+    } else {
+        closeSymbolEditor();
+    }
+    if (state.images.some(Boolean)) {
+        restoreImageGrid();
+    }
+    if (state.currentStep === 4) {
+        renderCardsPreview();
+        preparePrintContainer();
+    }
+    saveState();
+    
+    if (imageIndices.length > 0 || resized) {
+        refreshImageBounds().then(detectDuplicateImages);
+        updateProjectThumbnail();
+    }
+}
+
+/**
+ * Show what undo and redo would do next
+ */
+function renderHistoryButtons() {
+    const { undo, redo } = History.getHistoryStatus();
+    elements.btnUndo.disabled = !undo;
+    elements.btnRedo.disabled = !redo;
+    elements.btnUndo.title = undo ? `Undo ${undo} (Ctrl+Z)` : 'Nothing to undo';
+    elements.btnRedo.title = redo ? `Redo ${redo} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+/**
+ * Undo and redo shortcuts: Ctrl+Z, Ctrl+Shift+Z and Ctrl+Y (Cmd on macOS)
+ * Text fields keep the browser's own undo while they have focus.
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (event.target.matches?.('textarea, [contenteditable="true"], input:not([type="checkbox"], [type="radio"], [type="file"])')) return;
+    
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoEdit();
+    } else if (key === 'z' || key === 'y') {
+        event.preventDefault();
+        redoEdit();
+    }
+}
+
+/**
+ * Download the deck, images included, as a .spotit bundle
+ */
+async function exportDeck() {
+    saveState();
+    const project = Projects.getProject(Projects.getActiveProjectId());
+    const name = project ? project.name : 'Spot It Deck';
+    
+    const btn = elements.btnExportDeck;
+    btn.disabled = true;
+    try {
+        const blob = await Bundle.createBundle(name, Projects.loadProjectState(), state.images);
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'deck'}${Bundle.BUNDLE_EXTENSION}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showToast('Deck exported!', 'success');
+    } catch (error) {
+        showToast('Failed to export deck: ' + error.message, 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+/**
+ * Import a .spotit bundle as a new deck and open it
+ * @param {Event} event - Change event from the file input
+ */
+async function handleDeckImport(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    if (isGeneratingImages()) {
+        showToast('Wait for image generation to finish, or pause it, before importing a deck', 'warning');
+        return;
+    }
+    
+    let deck;
+    try {
+        deck = await Bundle.readBundle(file);
+    } catch (error) {
+        console.error('Failed to import deck:', error);
+        showToast(`Could not import ${file.name}: ${error.message}`, 'error');
+        return;
+    }
+    
+    // Only create the project once the bundle is known to be good
+    saveState();
+    const project = Projects.createProject(deck.name);
+    Projects.setActiveProject(project.id);
+    Projects.saveProjectState(deck.savedState);
+    const imagesSaved = await Storage.replaceImages(deck.images);
+    
+    clearProject();
+    await openCurrentProject();
+    await updateProjectThumbnail();
+    renderStorageUsage();
+    
+    // The exported cards are kept; they are only rebuilt if they don't fit the deck's size
+    if (JSON.stringify(state.cards) !== JSON.stringify(deck.savedState.cards)) {
+        showToast(`Imported ${project.name}, but its cards did not match its deck size and were rebuilt. Check the preview before printing.`, 'warning');
+    } else if (imagesSaved) {
+        showToast(`Imported ${project.name}`, 'success');
+    }
+}
+
+/**
+ * Reset state and the step panels for another project
+ * Nothing is deleted; the project's saved state and images stay in the library.
  */
-function startOver() {
+function clearProject() {
     // Clear state
     state.currentStep = 1;
     state.descriptions = [];
     state.images = [];
+    state.thumbnails = [];
+    state.imageBounds = [];
+    state.variants = [];
+    state.customPrompts = [];
+    state.theme = '';
+    state.promptTemplate = null;
+    state.promptModifier = 'none';
+    state.imageStyle = null;
+    state.usage = emptyUsage();
+    state.budget = { maxImages: null, maxCredits: null, maxCost: null };
+    state.generationPaused = false;
+    state.storageError = null;
+    state.duplicatePairs = [];
     state.cards = [];
     state.layouts = [];
-    
-    // Clear caches
-    API.clearImageCache();
-    clearSavedState();
+    state.seed = Algorithm.generateSeed();
     
     // Reset UI
+    closeSymbolEditor();
     const inputs = elements.symbolsGrid.querySelectorAll('input');
     inputs.forEach(input => input.value = '');
-    
-    elements.themeInput.value = '';
     elements.btnGenerateImages.disabled = true;
+    elements.btnContinueToPrint.classList.add('hidden');
+    elements.btnResumeGeneration.classList.add('hidden');
+    elements.btnCancelGeneration.textContent = 'Cancel';
+    elements.imageProgressFill.style.width = '0%';
+    renderDuplicatePairs();
     
     // Clear image grid
     if (elements.generatedImagesGrid) {
@@ -776,12 +2515,206 @@ function startOver() {
     if (elements.cardsPreview) {
         elements.cardsPreview.innerHTML = '';
     }
+}
+
+/**
+ * Switch to another project
+ * @param {string} id - Project ID
+ * @returns {Promise<boolean>} False if the switch was refused
+ */
+async function openProject(id) {
+    if (isGeneratingImages()) {
+        showToast('Wait for image generation to finish, or pause it, before switching decks', 'warning');
+        return false;
+    }
     
-    // Regenerate card configurations
-    generateCardConfigurations();
+    Projects.setActiveProject(id);
+    clearProject();
+    await openCurrentProject();
+    return true;
+}
+
+/**
+ * Start a new, empty deck (the current one stays in the library)
+ */
+async function startNewProject() {
+    if (isGeneratingImages()) {
+        showToast('Wait for image generation to finish, or pause it, before starting a new deck', 'warning');
+        return;
+    }
+    
+    const project = Projects.createProject();
+    await openProject(project.id);
+    showToast('Ready to create new cards! Your other decks are under My Decks.', 'success');
+}
+
+/**
+ * Show the current deck's name in the header
+ */
+function renderProjectName() {
+    const project = Projects.getProject(Projects.getActiveProjectId());
+    elements.currentProjectName.textContent = project ? project.name : 'My Decks';
+}
+
+/**
+ * Refresh the current deck's library thumbnail from its first images
+ */
+async function updateProjectThumbnail() {
+    // The deck may be switched while the thumbnail is drawn
+    const projectId = Projects.getActiveProjectId();
+    try {
+        const thumbnail = await Images.createThumbnail(state.thumbnails);
+        Projects.updateProject(projectId, { thumbnail });
+    } catch (error) {
+        console.warn('Failed to create deck thumbnail:', error);
+    }
+}
+
+/**
+ * Show the deck library in place of the step panels
+ */
+function showLibrary() {
+    saveState();
+    renderProjectLibrary();
+    
+    document.querySelectorAll('.panel').forEach(panel => {
+        panel.classList.remove('active');
+    });
+    elements.panelLibrary.classList.add('active');
+    elements.stepIndicator.classList.add('hidden');
+    elements.usageInfo.classList.add('hidden');
+}
+
+/**
+ * Render a card per deck: thumbnail, name, size and actions
+ */
+function renderProjectLibrary() {
+    const activeId = Projects.getActiveProjectId();
+    elements.projectList.innerHTML = '';
+    
+    Projects.listProjects().forEach(project => {
+        const card = document.createElement('div');
+        card.className = `project-card ${project.id === activeId ? 'project-card-active' : ''}`;
+        card.dataset.projectId = project.id;
+        card.innerHTML = `
+            <button type="button" class="project-thumbnail" data-action="open"></button>
+            <input type="text" class="input-field mt-4" data-action="rename" aria-label="Deck name">
+            <p class="mt-2 text-xs text-gray-500"></p>
+            <div class="flex gap-2 mt-4">
+                <button type="button" class="btn btn-secondary flex-1" data-action="open">${project.id === activeId ? 'Continue' : 'Open'}</button>
+                <button type="button" class="btn btn-ghost" data-action="duplicate">Duplicate</button>
+                <button type="button" class="btn btn-ghost" data-action="delete">Delete</button>
+            </div>
+        `;
+        
+        const thumbnail = card.querySelector('.project-thumbnail');
+        if (project.thumbnail) {
+            const img = document.createElement('img');
+            img.src = project.thumbnail;
+            img.alt = '';
+            img.className = 'w-full h-full object-contain';
+            thumbnail.appendChild(img);
+        } else {
+            thumbnail.textContent = 'No images yet';
+        }
+        
+        card.querySelector('input').value = project.name;
+        const edited = new Date(project.updatedAt).toLocaleDateString();
+        card.querySelector('p').textContent = project.symbolCount > 0
+            ? `${project.imageCount} / ${project.symbolCount} images · edited ${edited}`
+            : `Empty · edited ${edited}`;
+        
+        elements.projectList.appendChild(card);
+    });
+}
+
+/**
+ * Handle open, duplicate and delete buttons in the deck library
+ * @param {Event} event - Click event
+ */
+async function handleProjectAction(event) {
+    const button = event.target.closest('[data-action]');
+    const card = event.target.closest('[data-project-id]');
+    if (!button || !card || button.dataset.action === 'rename') return;
+    
+    const id = card.dataset.projectId;
+    if (button.dataset.action === 'open') {
+        if (id === Projects.getActiveProjectId()) {
+            goToStep(state.currentStep);
+        } else if (await openProject(id)) {
+            showToast(`Opened ${Projects.getProject(id).name}`, 'success');
+        }
+    } else if (button.dataset.action === 'duplicate') {
+        await duplicateProject(id);
+    } else if (button.dataset.action === 'delete') {
+        await deleteProject(id);
+    }
+}
+
+/**
+ * Rename a deck from its library card
+ * @param {Event} event - Change event
+ */
+function handleProjectRename(event) {
+    const input = event.target.closest('input[data-action="rename"]');
+    const card = event.target.closest('[data-project-id]');
+    if (!input || !card) return;
+    
+    const project = Projects.updateProject(card.dataset.projectId, { name: input.value });
+    input.value = project.name;
+    renderProjectName();
+}
+
+/**
+ * Copy a deck, including its images
+ * @param {string} id - Project ID
+ */
+async function duplicateProject(id) {
+    if (id === Projects.getActiveProjectId()) {
+        saveState();
+    }
+    
+    const copy = Projects.duplicateProject(id);
+    if (!copy) return;
+    await Storage.copyProjectImages(id, copy.id);
+    History.copyHistory(id, copy.id);
+    
+    renderProjectLibrary();
+    renderStorageUsage();
+    showToast(`Created ${copy.name}`, 'success');
+}
+
+/**
+ * Delete a deck and its images, after asking
+ * @param {string} id - Project ID
+ */
+async function deleteProject(id) {
+    const project = Projects.getProject(id);
+    const isActive = id === Projects.getActiveProjectId();
+    if (!project) return;
+    if (isActive && isGeneratingImages()) {
+        showToast('Wait for image generation to finish, or pause it, before deleting this deck', 'warning');
+        return;
+    }
+    if (!confirm(`Delete "${project.name}" and all of its images? This cannot be undone.`)) {
+        return;
+    }
+    
+    Projects.deleteProject(id);
+    API.clearImageJobs(id);
+    History.clearHistory(id);
+    await Storage.clearImages(id);
     
-    goToStep(1);
-    showToast('Ready to create new cards!', 'success');
+    if (isActive) {
+        // Open the most recent remaining deck, or a new one
+        const next = Projects.listProjects()[0] || Projects.createProject();
+        await openProject(next.id);
+        showLibrary();
+    } else {
+        renderProjectLibrary();
+    }
+    renderStorageUsage();
+    showToast(`Deleted ${project.name}`, 'success');
 }
 
 /**
@@ -789,6 +2722,8 @@ function startOver() {
  */
 function goToStep(step) {
     state.currentStep = step;
+    elements.stepIndicator.classList.remove('hidden');
+    elements.usageInfo.classList.remove('hidden');
     
     elements.steps.forEach(stepEl => {
         const stepNum = parseInt(stepEl.dataset.step);
@@ -1,97 +1,169 @@
 /**
  * AI API Integration
- * - OpenAI GPT-4.1 for text generation (symbol descriptions)
- * - Leonardo.ai for image generation
+ * - OpenAI GPT-4.1, or any OpenAI-compatible server, for text generation (symbol descriptions)
+ * - Image generation through the selected provider (see providers.js)
  */
 
+import {
+  getActiveProvider,
+  getProviderSettings,
+  responseError,
+  sleep,
+} from "./providers.js";
+import { MASTER_SIZE, removeBackground, resizeImage } from "./images.js";
+import { getActiveProjectId } from "./projects.js";
+import { createCacheKey, loadImage, reuseCachedImage, saveImage } from "./storage.js";
+
 const STORAGE_KEY_OPENAI_API = "spotit_openai_api_key";
 const STORAGE_KEY_LEONARDO_API = "spotit_leonardo_api_key";
-const STORAGE_KEY_IMAGE_PREFIX = "spotit_image_";
+const STORAGE_KEY_TEXT_SETTINGS = "spotit_text_settings";
+const STORAGE_KEY_REMOVE_BACKGROUND = "spotit_remove_background";
+const STORAGE_KEY_IMAGE_JOBS = "spotit_image_jobs";
 
 let openaiApiKey = null;
 let leonardoApiKey = null;
+let usageListener = null;
+
+// Estimated USD per 1M tokens [input, output], for models with known pricing
+const TEXT_MODEL_PRICES = {
+  "gpt-4.1": [2, 8],
+  "gpt-4.1-mini": [0.4, 1.6],
+  "gpt-4.1-nano": [0.1, 0.4],
+  "gpt-4o": [2.5, 10],
+  "gpt-4o-mini": [0.15, 0.6],
+};
+
+// How the text API key looks and how it is sent
+export const TEXT_KEY_FORMATS = {
+  openai: { label: "OpenAI (sk-...)", prefix: "sk-", header: "Authorization" },
+  bearer: { label: "Any key (Bearer token)", header: "Authorization" },
+  azure: { label: "Azure OpenAI (api-key header)", header: "api-key" },
+  none: { label: "No key (local server)", header: null },
+};
 
-// Leonardo.ai Nano Banana model configuration
-// Documentation: https://docs.leonardo.ai/docs/generate-images-using-nano-banana
-const LEONARDO_MODEL = "gemini-2.5-flash-image";
-
-// All style presets for Nano Banana model
-// From: https://docs.leonardo.ai/docs/generate-images-using-nano-banana
-export const LEONARDO_STYLES = {
-  "3D Render": "debdf72a-91a4-467b-bf61-cc02bdeb69c6",
-  Acrylic: "3cbb655a-7ca4-463f-b697-8a03ad67327c",
-  Creative: "6fedbf1f-4a17-45ec-84fb-92fe524a29ef",
-  Dynamic: "111dc692-d470-4eec-b791-3475abac4c46",
-  Fashion: "594c4a08-a522-4e0e-b7ff-e4dac4b6b622",
-  "Game Concept": "09d2b5b5-d7c5-4c02-905d-9f84051640f4",
-  "Graphic Design 2D": "703d6fe5-7f1c-4a9e-8da0-5331f214d5cf",
-  "Graphic Design 3D": "7d7c2bc5-4b12-4ac3-81a9-630057e9e89f",
-  Illustration: "645e4195-f63d-4715-a3f2-3fb1e6eb8c70",
-  None: "556c1ee5-ec38-42e8-955a-1e82dad0ffa1",
-  Portrait: "8e2bc543-6ee2-45f9-bcd9-594b6ce84dcd",
-  "Portrait Cinematic": "4edb03c9-8a26-4041-9d01-f85b5d4abd71",
-  "Portrait Fashion": "0d34f8e1-46d4-428f-8ddd-4b11811fa7c9",
-  "Pro B&W Photography": "22a9a7d2-2166-4d86-80ff-22e2643adbcf",
-  "Pro Color Photography": "7c3f932b-a572-47cb-9b9b-f20211e63b5b",
-  "Pro Film Photography": "581ba6d6-5aac-4492-bebe-54c424a0d46e",
-  "Ray Traced": "b504f83c-3326-4947-82e1-7fe9e839ec0f",
-  "Stock Photo": "5bdc3f2a-1be6-4d1c-8e77-992a30824a2c",
-  Watercolor: "1db308ce-c7ad-4d10-96fd-592fa6b75cc4",
+// OpenAI defaults; Ollama, LM Studio and Azure OpenAI work with their own base URL and model
+const DEFAULT_TEXT_SETTINGS = {
+  baseUrl: "https://api.openai.com/v1",
+  model: "gpt-4.1",
+  keyFormat: "openai",
 };
 
-// Default style for image generation
-const STORAGE_KEY_STYLE = "spotit_leonardo_style";
-let selectedStyle = "Illustration"; // Default to Illustration for icon-style images
+/**
+ * Set the OpenAI API key
+ * @param {string} key - OpenAI API key
+ */
+export function setOpenAIApiKey(key) {
+  openaiApiKey = key;
+  localStorage.setItem(STORAGE_KEY_OPENAI_API, key);
+}
 
 /**
- * Set the Leonardo style
- * @param {string} styleName - Style name (key from LEONARDO_STYLES)
+ * Get the stored OpenAI API key
+ * @returns {string|null}
  */
-export function setLeonardoStyle(styleName) {
-  if (LEONARDO_STYLES[styleName]) {
-    selectedStyle = styleName;
-    localStorage.setItem(STORAGE_KEY_STYLE, styleName);
+export function getOpenAIApiKey() {
+  if (!openaiApiKey) {
+    openaiApiKey = localStorage.getItem(STORAGE_KEY_OPENAI_API);
   }
+  return openaiApiKey;
 }
 
 /**
- * Get the selected Leonardo style name
- * @returns {string}
+ * Whether generated images get their white background removed (on by default)
+ * @returns {boolean}
  */
-export function getLeonardoStyle() {
-  const saved = localStorage.getItem(STORAGE_KEY_STYLE);
-  if (saved && LEONARDO_STYLES[saved]) {
-    selectedStyle = saved;
+export function getRemoveBackground() {
+  return localStorage.getItem(STORAGE_KEY_REMOVE_BACKGROUND) !== "false";
+}
+
+/**
+ * Turn background removal of generated images on or off
+ * @param {boolean} enabled - Remove backgrounds
+ */
+export function setRemoveBackground(enabled) {
+  localStorage.setItem(STORAGE_KEY_REMOVE_BACKGROUND, String(enabled));
+}
+
+/**
+ * Listen for API usage as it happens
+ * @param {function|null} listener - Called with increments:
+ *   { promptTokens, completionTokens, images, credits, cost } (cost is estimated USD)
+ */
+export function setUsageListener(listener) {
+  usageListener = listener;
+}
+
+/**
+ * Report API usage to the listener
+ * @param {Object} usage - Usage increments (missing fields count as 0)
+ */
+function reportUsage(usage) {
+  if (usageListener) {
+    usageListener({
+      promptTokens: 0,
+      completionTokens: 0,
+      images: 0,
+      credits: 0,
+      cost: 0,
+      ...usage,
+    });
   }
-  return selectedStyle;
 }
 
 /**
- * Get the style ID for the current selection
- * @returns {string}
+ * Get the text generation endpoint settings
+ * @returns {{baseUrl: string, model: string, keyFormat: string}}
  */
-export function getLeonardoStyleId() {
-  return LEONARDO_STYLES[getLeonardoStyle()];
+export function getTextSettings() {
+  const saved = JSON.parse(localStorage.getItem(STORAGE_KEY_TEXT_SETTINGS) || "{}");
+  const settings = { ...DEFAULT_TEXT_SETTINGS, ...saved };
+  if (!TEXT_KEY_FORMATS[settings.keyFormat]) {
+    settings.keyFormat = DEFAULT_TEXT_SETTINGS.keyFormat;
+  }
+  return settings;
 }
 
 /**
- * Set the OpenAI API key
- * @param {string} key - OpenAI API key
+ * Save the text generation endpoint settings
+ * @param {{baseUrl: string, model: string, keyFormat: string}} settings - Endpoint settings
  */
-export function setOpenAIApiKey(key) {
-  openaiApiKey = key;
-  localStorage.setItem(STORAGE_KEY_OPENAI_API, key);
+export function setTextSettings(settings) {
+  localStorage.setItem(
+    STORAGE_KEY_TEXT_SETTINGS,
+    JSON.stringify(normalizeTextSettings(settings))
+  );
 }
 
 /**
- * Get the stored OpenAI API key
- * @returns {string|null}
+ * Fill in defaults for blank fields and drop trailing slashes from the base URL
+ * @param {{baseUrl: string, model: string, keyFormat: string}} settings - Endpoint settings
+ * @returns {{baseUrl: string, model: string, keyFormat: string}}
  */
-export function getOpenAIApiKey() {
-  if (!openaiApiKey) {
-    openaiApiKey = localStorage.getItem(STORAGE_KEY_OPENAI_API);
+function normalizeTextSettings(settings) {
+  return {
+    baseUrl:
+      settings.baseUrl.trim().replace(/\/+$/, "") || DEFAULT_TEXT_SETTINGS.baseUrl,
+    model: settings.model.trim() || DEFAULT_TEXT_SETTINGS.model,
+    keyFormat: TEXT_KEY_FORMATS[settings.keyFormat]
+      ? settings.keyFormat
+      : DEFAULT_TEXT_SETTINGS.keyFormat,
+  };
+}
+
+/**
+ * Check a text API key against a key format
+ * @param {string} key - API key
+ * @param {string} keyFormat - Key format (key of TEXT_KEY_FORMATS)
+ * @returns {string|null} Problem with the key, or null if it is fine
+ */
+export function validateTextApiKey(key, keyFormat) {
+  const format = TEXT_KEY_FORMATS[keyFormat];
+  if (!format.header) return null;
+  if (!key) return "Please enter your API key";
+  if (format.prefix && !key.startsWith(format.prefix)) {
+    return `Invalid API key format (should start with ${format.prefix})`;
   }
-  return openaiApiKey;
+  return null;
 }
 
 /**
@@ -124,6 +196,17 @@ export function setApiKeys(openaiKey, leonardoKey) {
   setLeonardoApiKey(leonardoKey);
 }
 
+/**
+ * Get the stored API key a provider needs
+ * @param {Object} provider - Image provider
+ * @returns {string|null} Key, or null if the provider needs none or it is not set
+ */
+export function getProviderApiKey(provider) {
+  if (provider.keyType === "leonardo") return getLeonardoApiKey();
+  if (provider.keyType === "openai") return getOpenAIApiKey();
+  return null;
+}
+
 /**
  * Clear all stored API keys
  */
@@ -135,230 +218,423 @@ export function clearApiKeys() {
 }
 
 /**
- * Generate unique symbol descriptions using GPT-4.1
+ * Send a chat completion request to the configured text endpoint
+ * @param {Object[]} messages - Chat messages
+ * @param {Object} options - Extra request fields (temperature, max_tokens, ...)
+ * @param {Object} settings - Endpoint settings (defaults to the saved ones)
+ * @param {string|null} key - API key (defaults to the saved one)
+ * @returns {Promise<string>} Reply text
+ */
+async function chatCompletion(
+  messages,
+  options = {},
+  settings = getTextSettings(),
+  key = getOpenAIApiKey()
+) {
+  const format = TEXT_KEY_FORMATS[settings.keyFormat];
+  if (format.header && !key) {
+    throw new Error("OpenAI API key not set");
+  }
+
+  const headers = { "Content-Type": "application/json" };
+  if (format.header === "Authorization") {
+    headers.Authorization = `Bearer ${key}`;
+  } else if (format.header) {
+    headers[format.header] = key;
+  }
+
+  let response;
+  try {
+    response = await fetch(`${settings.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model: settings.model,
+        messages,
+        ...options,
+      }),
+    });
+  } catch (e) {
+    // Network errors, including CORS rejections from local servers
+    throw new Error(`Could not reach ${settings.baseUrl}`);
+  }
+
+  if (!response.ok) {
+    let message = `Request failed (HTTP ${response.status})`;
+    try {
+      const error = await response.json();
+      message = error.error?.message || error.message || message;
+    } catch (e) {
+      // Non-JSON error body
+    }
+    const error = new Error(message);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  if (data.usage) {
+    const promptTokens = data.usage.prompt_tokens || 0;
+    const completionTokens = data.usage.completion_tokens || 0;
+    const price = TEXT_MODEL_PRICES[settings.model];
+    reportUsage({
+      promptTokens,
+      completionTokens,
+      cost: price ? (promptTokens * price[0] + completionTokens * price[1]) / 1e6 : 0,
+    });
+  }
+
+  const content = data.choices?.[0]?.message?.content;
+  if (typeof content !== "string") {
+    throw new Error("Unexpected response format from text API");
+  }
+  return content.trim();
+}
+
+/**
+ * Check that a text endpoint works with a tiny request
+ * @param {Object} settings - Endpoint settings to test
+ * @param {string} key - API key to test
+ * @returns {Promise<string>} The model's reply
+ */
+export async function testTextConnection(settings, key) {
+  return chatCompletion(
+    [{ role: "user", content: "Reply with the single word OK." }],
+    { max_tokens: 5 },
+    normalizeTextSettings(settings),
+    key
+  );
+}
+
+// Follow-up requests for missing descriptions before giving up
+const MAX_TOP_UP_ROUNDS = 3;
+
+// Structured output: an object with a "symbols" array of strings
+const DESCRIPTIONS_SCHEMA = {
+  type: "json_schema",
+  json_schema: {
+    name: "symbol_descriptions",
+    strict: true,
+    schema: {
+      type: "object",
+      properties: {
+        symbols: { type: "array", items: { type: "string" } },
+      },
+      required: ["symbols"],
+      additionalProperties: false,
+    },
+  },
+};
+
+/**
+ * Reduce a description to a comparison key, so near-identical entries match
+ * e.g. "The Red Apple!", "red apples" and "a red apple" -> "red apple"
+ * @param {string} description - Symbol description
+ * @returns {string}
+ */
+export function normalizeDescription(description) {
+  return description
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/^\s*(a|an|the)\s+/, "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => (word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word))
+    .join(" ");
+}
+
+/**
+ * Add descriptions to a list, skipping blanks and near-duplicates
+ * @param {string[]} list - Descriptions so far (modified in place)
+ * @param {Set<string>} seen - Normalized keys of the list (modified in place)
+ * @param {*[]} candidates - New entries from the model
+ * @param {number} limit - Maximum list length
+ */
+function addUniqueDescriptions(list, seen, candidates, limit) {
+  for (const candidate of candidates) {
+    if (list.length >= limit) break;
+    if (typeof candidate !== "string") continue;
+
+    const description = candidate.trim().replace(/\s+/g, " ");
+    const key = normalizeDescription(description);
+    if (!key || seen.has(key)) continue;
+
+    seen.add(key);
+    list.push(description);
+  }
+}
+
+/**
+ * Pull the descriptions array out of a model reply
+ * Accepts {"symbols": [...]} or a bare array, with or without surrounding text
+ * @param {string} content - Reply text
+ * @returns {*[]} Parsed entries
+ */
+function parseDescriptions(content) {
+  const attempts = [content, content.match(/\{[\s\S]*\}/)?.[0], content.match(/\[[\s\S]*\]/)?.[0]];
+  for (const text of attempts) {
+    if (!text) continue;
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) return parsed;
+      if (Array.isArray(parsed?.symbols)) return parsed.symbols;
+    } catch (e) {
+      // Try the next candidate
+    }
+  }
+  throw new Error("Failed to parse AI response as JSON");
+}
+
+/**
+ * Ask the model for a batch of descriptions
+ * Falls back to a plain JSON prompt if the server rejects structured output
+ * @param {string} prompt - User prompt
+ * @param {number} count - Number of descriptions asked for
+ * @param {Object} format - Shared flag: { structured: boolean }
+ * @returns {Promise<*[]>} Parsed entries
+ */
+async function requestDescriptions(prompt, count, format) {
+  const messages = [
+    {
+      role: "system",
+      content:
+        'You are a helpful assistant that generates creative, distinct symbol ideas for card games. Always respond with valid JSON of the form {"symbols": ["...", "..."]}.',
+    },
+    {
+      role: "user",
+      content: prompt,
+    },
+  ];
+  // Roughly 10 tokens per entry, with headroom
+  const options = { temperature: 0.8, max_tokens: Math.max(1000, count * 20 + 200) };
+
+  if (format.structured) {
+    try {
+      return parseDescriptions(
+        await chatCompletion(messages, { ...options, response_format: DESCRIPTIONS_SCHEMA })
+      );
+    } catch (error) {
+      // Older or local servers may not support json_schema
+      if (error.status !== 400) throw error;
+      console.warn("Structured output not supported, falling back to plain JSON:", error);
+      format.structured = false;
+    }
+  }
+
+  return parseDescriptions(await chatCompletion(messages, options));
+}
+
+/**
+ * Generate unique symbol descriptions with the configured text model (GPT-4.1 by default)
+ * Near-duplicates are dropped and missing slots are filled with follow-up requests.
  * @param {string} theme - Optional theme to guide generation
  * @param {number} count - Number of symbols to generate
  * @param {function} onProgress - Progress callback
- * @returns {Promise<string[]>} Array of symbol descriptions
+ * @returns {Promise<string[]>} Array of symbol descriptions (fewer than count only if the model keeps repeating itself)
  */
 export async function generateDescriptions(
   theme = "",
   count = 57,
   onProgress = null
 ) {
-  const key = getOpenAIApiKey();
-  if (!key) {
-    throw new Error("OpenAI API key not set");
-  }
-
   const themePrompt = theme
     ? `The theme is "${theme}". All symbols should relate to this theme.`
     : "Use a diverse mix of everyday objects, animals, food, nature, and simple shapes.";
 
-  const prompt = `Generate exactly ${count} unique, simple symbol descriptions for a Spot It card game. Each description should be:
+  const buildPrompt = (needed, existing) => {
+    const avoid = existing.length
+      ? `\n\nThese symbols are already taken, do NOT repeat them or close variations of them:\n${existing.join(", ")}`
+      : "";
+    return `Generate exactly ${needed} unique, simple symbol descriptions for a Spot It card game. Each description should be:
 - A simple, recognizable object or symbol (1-4 words)
 - Visually distinct from others
 - Easy to identify quickly
 - Suitable for all ages
 
-${themePrompt}
+${themePrompt}${avoid}
+
+Format: Return ONLY a JSON object with a "symbols" array of ${needed} strings, no other text.
+Example format: {"symbols": ["red apple", "yellow sun", "blue star", ...]}`;
+  };
 
-Format: Return ONLY a JSON array of ${count} strings, no other text.
-Example format: ["red apple", "yellow sun", "blue star", ...]`;
+  const descriptions = [];
+  const seen = new Set();
+  const format = { structured: true };
 
   if (onProgress) onProgress(0, "Generating symbol descriptions...");
 
   try {
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${key}`,
-      },
-      body: JSON.stringify({
-        model: "gpt-4.1",
-        messages: [
-          {
-            role: "system",
-            content:
-              "You are a helpful assistant that generates creative, distinct symbol ideas for card games. Always respond with valid JSON.",
-          },
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
-        temperature: 0.8,
-        max_tokens: 2000,
-      }),
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(
-        error.error?.message || "Failed to generate descriptions"
-      );
-    }
-
-    const data = await response.json();
-    const content = data.choices[0].message.content.trim();
-
-    // Parse JSON from response
-    let descriptions;
-    try {
-      const jsonMatch = content.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        descriptions = JSON.parse(jsonMatch[0]);
-      } else {
-        descriptions = JSON.parse(content);
+    for (let round = 0; round <= MAX_TOP_UP_ROUNDS && descriptions.length < count; round++) {
+      const needed = count - descriptions.length;
+      if (round > 0 && onProgress) {
+        onProgress(
+          (descriptions.length / count) * 100,
+          `Got ${descriptions.length}/${count} unique descriptions, asking for ${needed} more...`
+        );
       }
-    } catch (e) {
-      throw new Error("Failed to parse AI response as JSON");
+
+      const entries = await requestDescriptions(buildPrompt(needed, descriptions), needed, format);
+      addUniqueDescriptions(descriptions, seen, entries, count);
     }
 
-    if (!Array.isArray(descriptions) || descriptions.length < count) {
-      throw new Error(
-        `Expected ${count} descriptions, got ${descriptions?.length || 0}`
-      );
+    if (descriptions.length === 0) {
+      throw new Error("The model returned no usable descriptions");
     }
 
     if (onProgress) onProgress(100, "Descriptions generated!");
 
-    return descriptions.slice(0, count);
+    return descriptions;
   } catch (error) {
     console.error("Description generation error:", error);
     throw error;
   }
 }
 
+// Default image prompt; {description} and {theme} are filled in per symbol
+export const DEFAULT_PROMPT_TEMPLATE =
+  "A single {description}, just one, not multiple. Centered composition, completely white background, no text, no duplicates, only one subject in the image. Clean, icon style suitable for a card game symbol. There should be no frames or circles, only the subject.";
+
+// Built-in art styles, appended to the prompt (on top of any provider style)
+export const PROMPT_MODIFIERS = {
+  none: { label: "None", text: "" },
+  cute: {
+    label: "Cute",
+    text: "cute kawaii style, soft rounded shapes, friendly face, pastel colours",
+  },
+  cool: {
+    label: "Cool",
+    text: "cool and bold, confident attitude, vibrant colours with neon accents",
+  },
+  "flat-vector": {
+    label: "Flat Vector",
+    text: "flat vector illustration, solid colours, no gradients, crisp edges",
+  },
+  "line-art": {
+    label: "Line Art",
+    text: "clean black line art, even stroke width, no shading, no colour fill",
+  },
+  "pixel-art": {
+    label: "Pixel Art",
+    text: "16-bit pixel art, limited palette, crisp square pixels",
+  },
+  sticker: {
+    label: "Sticker",
+    text: "glossy die-cut sticker with a thick dark outline",
+  },
+};
+
+/**
+ * Build the image prompt for a symbol description
+ * @param {string} description - Symbol description
+ * @param {Object} options - Prompt options
+ * @param {string|null} options.template - Prompt template with {description} and {theme} placeholders
+ * @param {string} options.theme - Deck theme
+ * @param {string} options.modifier - Art style (key of PROMPT_MODIFIERS)
+ * @returns {string} Image prompt
+ */
+export function buildImagePrompt(
+  description,
+  { template = null, theme = "", modifier = "none" } = {}
+) {
+  const prompt = (template || DEFAULT_PROMPT_TEMPLATE)
+    .replaceAll("{description}", description)
+    .replaceAll("{theme}", theme)
+    .replace(/\s+/g, " ")
+    .trim();
+
+  const style = PROMPT_MODIFIERS[modifier]?.text;
+  return style ? `${prompt} Art style: ${style}.` : prompt;
+}
+
 /**
- * Generate a single image using Leonardo.ai Nano Banana model
- * Uses V2 API endpoint: https://cloud.leonardo.ai/api/rest/v2/generations
+ * Generate a single image with the selected provider
  * @param {string} description - Symbol description
  * @param {number} index - Symbol index for tracking
- * @returns {Promise<string>} Image URL
+ * @param {string|null} customPrompt - Prompt to use instead of the default template
+ * @param {Object} options - Style and resumable job hooks
+ * @param {string|null} options.style - Provider style to draw in, i.e. the deck's style
+ *   (null for the provider's default style)
+ * @param {string|null} options.jobId - Remote job to resume instead of starting a new one
+ * @param {function|null} options.onSubmitted - Called with the remote job ID once it is queued
+ * @param {AbortSignal|null} options.signal - Aborts the provider's requests
+ * @returns {Promise<string>} Image data URL
  */
-export async function generateImage(description, index = 0) {
-  const key = getLeonardoApiKey();
-  if (!key) {
-    throw new Error("Leonardo API key not set");
+export async function generateImage(
+  description,
+  index = 0,
+  customPrompt = null,
+  { style = null, jobId = null, onSubmitted = null, signal = null } = {}
+) {
+  const provider = getActiveProvider();
+  const apiKey = getProviderApiKey(provider);
+  if (provider.keyType && !apiKey) {
+    throw new Error(`${provider.name} API key not set`);
   }
-  const prompt = `A single ${description}, just one, not multiple. Centered composition, completely white background, no text, no duplicates, only one subject in the image. Clean, icon style suitable for a card game symbol. There should be no frames or cirlces, only the subject.`;
+  const prompt = customPrompt || buildImagePrompt(description);
 
   try {
-    // Step 1: Create a generation request using V2 API with Nano Banana
-    const createResponse = await fetch(
-      "https://cloud.leonardo.ai/api/rest/v2/generations",
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${key}`,
-        },
-        body: JSON.stringify({
-          model: LEONARDO_MODEL,
-          parameters: {
-            width: 1024,
-            height: 1024,
-            prompt: prompt,
-            quantity: 1,
-            style_ids: [getLeonardoStyleId()],
-            prompt_enhance: "OFF",
-          },
-          public: false,
-        }),
-      }
-    );
-
-    if (!createResponse.ok) {
-      const error = await createResponse.json();
-      throw new Error(
-        error.error?.message || error.message || "Failed to create generation"
-      );
-    }
-
-    const createData = await createResponse.json();
-    // V2 API returns generationId inside "generate" object
-    const generationId =
-      createData.generate?.generationId || createData.generationId;
-
-    if (!generationId) {
-      console.error("Unexpected API response:", createData);
-      throw new Error("No generation ID received");
-    }
-
-    // Step 2: Poll for completion
-    const imageUrl = await pollForGenerationComplete(key, generationId);
-
-    // Step 3: Fetch the image and convert to base64 for caching
-    const imageData = await fetchImageAsBase64(imageUrl);
-
-    return imageData;
+    const options = {
+      apiKey,
+      style: style || provider.defaultStyle,
+      settings: getProviderSettings(provider),
+      onSubmitted,
+      onUsage: reportUsage,
+      signal,
+    };
+    const image =
+      jobId && provider.resume
+        ? await provider.resume(jobId, options)
+        : await provider.generate(prompt, options);
+
+    // Fetch hosted images and convert to base64 for caching
+    const imageData = image.startsWith("data:")
+      ? image
+      : await fetchImageAsBase64(image, signal);
+
+    const processed = getRemoveBackground()
+      ? await processImage(imageData)
+      : imageData;
+    // Larger images than a print-resolution master would only waste storage
+    return await resizeImage(processed, MASTER_SIZE);
   } catch (error) {
-    console.error(`Image generation error for "${description}":`, error);
+    if (!signal?.aborted) {
+      console.error(`Image generation error for "${description}":`, error);
+    }
     throw error;
   }
 }
 
 /**
- * Poll Leonardo.ai for generation completion
- * Works with both V1 and V2 API responses
- * @param {string} apiKey - Leonardo API key
- * @param {string} generationId - Generation ID to poll
- * @param {number} maxAttempts - Maximum polling attempts
- * @returns {Promise<string>} Image URL
+ * Cache key of an image: everything that decides what the provider draws,
+ * so the same request from any deck or symbol reuses the image (see storage.js)
+ * @param {string} description - Symbol description
+ * @param {string} customPrompt - Optional prompt to use instead of the default template
+ * @param {string|null} style - Provider style the request is sent with (as for generateImage)
+ * @returns {Promise<string>}
  */
-async function pollForGenerationComplete(
-  apiKey,
-  generationId,
-  maxAttempts = 60
-) {
-  const pollInterval = 2000; // 2 seconds
-
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    await new Promise((resolve) => setTimeout(resolve, pollInterval));
-
-    // Use V1 endpoint for polling (works for both V1 and V2 generations)
-    const response = await fetch(
-      `https://cloud.leonardo.ai/api/rest/v1/generations/${generationId}`,
-      {
-        method: "GET",
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-        },
-      }
-    );
-
-    if (!response.ok) {
-      continue; // Retry on error
-    }
-
-    const data = await response.json();
-    const generation = data.generations_by_pk;
-
-    if (generation?.status === "COMPLETE") {
-      // Check for images in the response (handles both V1 and V2 response formats)
-      const images = generation.generated_images || generation.images;
-      if (images?.length > 0) {
-        return images[0].url;
-      }
-    }
-
-    if (generation?.status === "FAILED") {
-      throw new Error("Image generation failed");
-    }
-  }
-
-  throw new Error("Image generation timed out");
+function imageCacheKey(description, customPrompt = null, style = null) {
+  const provider = getActiveProvider();
+  return createCacheKey({
+    provider: provider.id,
+    model: provider.model || null,
+    settings: getProviderSettings(provider),
+    style: style || provider.defaultStyle,
+    prompt: customPrompt || buildImagePrompt(description),
+    removeBackground: getRemoveBackground(),
+  });
 }
 
 /**
  * Fetch an image URL and convert to base64 data URL
  * @param {string} url - Image URL
+ * @param {AbortSignal} signal - Optional abort signal
  * @returns {Promise<string>} Base64 data URL
  */
-async function fetchImageAsBase64(url) {
-  const response = await fetch(url);
+async function fetchImageAsBase64(url, signal = null) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw await responseError(response, "Failed to download image");
+  }
   const blob = await response.blob();
 
   return new Promise((resolve, reject) => {
@@ -370,9 +646,25 @@ async function fetchImageAsBase64(url) {
 }
 
 /**
- * Rate limiter for Leonardo.ai API
- * - Max 10 concurrent generations
- * - Max 100 requests per minute
+ * Key out the white background and trim to the subject
+ * Falls back to the unprocessed image if processing fails
+ * @param {string} imageData - Image data URL
+ * @returns {Promise<string>} Processed PNG data URL
+ */
+async function processImage(imageData) {
+  try {
+    return await removeBackground(imageData);
+  } catch (error) {
+    console.warn("Background removal failed, keeping original image:", error);
+    return imageData;
+  }
+}
+
+/**
+ * Rate limiter for an image provider
+ * - Max concurrent generations
+ * - Max requests per minute
+ * - A shared pause after the provider asks us to back off
  */
 class RateLimiter {
   constructor(maxConcurrent = 10, maxPerMinute = 100) {
@@ -380,14 +672,17 @@ class RateLimiter {
     this.maxPerMinute = maxPerMinute;
     this.activeCount = 0;
     this.requestTimestamps = [];
-    this.queue = [];
+    this.pausedUntil = 0;
   }
 
-  async acquire() {
+  async acquire(signal = null) {
     // Wait until we can make a request
-    while (this.activeCount >= this.maxConcurrent || this.isRateLimited()) {
-      await new Promise((resolve) => setTimeout(resolve, 500));
-      this.cleanupTimestamps();
+    while (
+      this.activeCount >= this.maxConcurrent ||
+      this.isRateLimited() ||
+      Date.now() < this.pausedUntil
+    ) {
+      await sleep(500, signal);
     }
 
     this.activeCount++;
@@ -398,6 +693,14 @@ class RateLimiter {
     this.activeCount--;
   }
 
+  /**
+   * Hold off every request through this limiter, e.g. after a 429
+   * @param {number} ms - Milliseconds to wait
+   */
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
   isRateLimited() {
     this.cleanupTimestamps();
     return this.requestTimestamps.length >= this.maxPerMinute;
@@ -415,218 +718,491 @@ class RateLimiter {
     return {
       active: this.activeCount,
       requestsThisMinute: this.requestTimestamps.length,
+      pausedFor: Math.max(0, this.pausedUntil - Date.now()),
     };
   }
 }
 
-// Global rate limiter instance
-const rateLimiter = new RateLimiter(10, 100);
+/**
+ * Estimate how long the remaining jobs will take
+ * @param {number} remaining - Jobs not finished yet
+ * @param {number[]} latencies - Milliseconds each job finished this run took
+ * @param {RateLimiter} rateLimiter - The provider's rate limiter
+ * @returns {number|null} Milliseconds left, or null until a job has finished
+ */
+function estimateTimeLeft(remaining, latencies, rateLimiter) {
+  if (remaining === 0) return 0;
+  if (latencies.length === 0) return null;
+
+  const average = latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length;
+  // Images per millisecond, capped by both the concurrency and the per-minute limit
+  const throughput = Math.min(
+    rateLimiter.maxConcurrent / average,
+    rateLimiter.maxPerMinute / 60000
+  );
+  return remaining / throughput + rateLimiter.getStatus().pausedFor;
+}
+
+// One rate limiter per provider, so switching providers starts with a clean slate
+const rateLimiters = new Map();
 
 /**
- * Generate a single image with rate limiting and retry logic
- * @param {string} description - Symbol description
+ * Get the rate limiter for a provider
+ * @param {Object} provider - Image provider
+ * @returns {RateLimiter}
+ */
+function getRateLimiter(provider) {
+  if (!rateLimiters.has(provider.id)) {
+    const { maxConcurrent, maxPerMinute } = provider.limits;
+    rateLimiters.set(provider.id, new RateLimiter(maxConcurrent, maxPerMinute));
+  }
+  return rateLimiters.get(provider.id);
+}
+
+// Longest wait between retries, even if the provider asks for more
+const MAX_RETRY_DELAY = 60000;
+
+/**
+ * Decide whether a failed image request is worth retrying
+ * @param {Error} error - Error from generateImage (status is the HTTP status, if any)
+ * @returns {boolean} False for client errors such as a bad key or a rejected prompt
+ */
+function isRetryableError(error) {
+  if (error.status === undefined) {
+    return true; // Network errors, failed or timed-out generations
+  }
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * How long to wait before the next attempt: Retry-After when the provider sends it,
+ * otherwise exponential backoff with jitter so parallel jobs don't retry in lockstep
+ * @param {Error} error - Error from the failed attempt
+ * @param {number} attempt - Attempts made so far (1 for the first retry)
+ * @returns {number} Milliseconds to wait
+ */
+function retryDelay(error, attempt) {
+  if (error.retryAfter != null) {
+    return Math.min(error.retryAfter, MAX_RETRY_DELAY);
+  }
+  const base = error.status === 429 ? 5000 : 1000;
+  const delay = Math.min(base * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Generate a single image job with rate limiting and retry logic
+ * Resumes the job's remote generation first, if it has one
+ * @param {Object} job - Job from the image job queue
  * @param {number} index - Symbol index
- * @param {number} maxRetries - Maximum retry attempts
+ * @param {string} style - Provider style to draw in
+ * @param {function} onSubmitted - Called with the remote job ID once it is queued
+ * @param {AbortSignal} signal - Optional abort signal, also cancels in-flight requests
+ * @param {number} maxAttempts - Maximum attempts, including the first
  * @returns {Promise<string>} Image data URL
  */
-async function generateImageWithRateLimit(description, index, maxRetries = 3) {
-  let lastError;
+async function generateImageWithRateLimit(job, index, style, onSubmitted, signal = null, maxAttempts = 4) {
+  const rateLimiter = getRateLimiter(getActiveProvider());
+  const { description } = job;
 
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
+  for (let attempt = 1; ; attempt++) {
+    let waitTime;
+    await rateLimiter.acquire(signal);
     try {
-      await rateLimiter.acquire();
+      return await generateImage(description, index, job.prompt, {
+        style,
+        jobId: job.generationId,
+        onSubmitted,
+        signal,
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      // Never resume a generation that already failed; start over instead
+      job.generationId = null;
 
-      try {
-        const result = await generateImage(description, index);
-        return result;
-      } finally {
-        rateLimiter.release();
+      if (attempt >= maxAttempts || !isRetryableError(error)) {
+        throw error;
       }
-    } catch (error) {
-      lastError = error;
-
-      // Check if it's a rate limit error
-      const isRateLimitError =
-        error.message?.includes("rate") ||
-        error.message?.includes("429") ||
-        error.message?.includes("too many");
-
-      if (isRateLimitError && attempt < maxRetries - 1) {
-        // Wait longer before retry on rate limit
-        const waitTime = (attempt + 1) * 10000; // 10s, 20s, 30s
-        console.warn(
-          `Rate limit hit for "${description}", waiting ${
-            waitTime / 1000
-          }s before retry...`
-        );
-        await new Promise((resolve) => setTimeout(resolve, waitTime));
-      } else if (attempt < maxRetries - 1) {
-        // Regular error, shorter wait
-        await new Promise((resolve) => setTimeout(resolve, 2000));
+      waitTime = retryDelay(error, attempt);
+      if (error.status === 429) {
+        // Rate limited: every job on this provider waits, not just this one
+        rateLimiter.pauseFor(waitTime);
       }
+      console.warn(
+        `Attempt ${attempt} failed for "${description}" (${error.message}), retrying in ${Math.round(
+          waitTime / 1000
+        )}s...`
+      );
+    } finally {
+      rateLimiter.release();
     }
+
+    await sleep(waitTime, signal);
+  }
+}
+
+/**
+ * Storage key of a project's image job queue
+ * @param {string} projectId - Project ID
+ * @returns {string}
+ */
+function imageJobsKey(projectId) {
+  return `${STORAGE_KEY_IMAGE_JOBS}_${projectId}`;
+}
+
+/**
+ * Image job queue of the open project, saved after every change so a run
+ * survives a page reload:
+ * { provider, style, jobs: [{ description, prompt, status, generationId, cacheKey, error }] }
+ * style is the deck's provider style, set by whoever starts or resumes the run
+ * status is "pending", "submitted" (remote generationId known), "done" or "failed";
+ * cacheKey is set once the job starts, so a resumed job is cached under what it asked for
+ * @returns {Object|null} Saved queue, or null if no run is in progress
+ */
+function loadImageJobs() {
+  try {
+    return JSON.parse(localStorage.getItem(imageJobsKey(getActiveProjectId())));
+  } catch (e) {
+    return null;
   }
+}
 
-  throw lastError;
+/**
+ * Save the image job queue
+ * @param {Object} queue - Job queue
+ */
+function saveImageJobs(queue) {
+  localStorage.setItem(imageJobsKey(getActiveProjectId()), JSON.stringify(queue));
+}
+
+/**
+ * Forget a project's image job queue (run finished or cancelled, or project deleted)
+ * @param {string} projectId - Project ID (defaults to the open project)
+ */
+export function clearImageJobs(projectId = getActiveProjectId()) {
+  localStorage.removeItem(imageJobsKey(projectId));
+}
+
+/**
+ * Check for an image generation run that was interrupted, e.g. by a reload
+ * @returns {boolean}
+ */
+export function hasUnfinishedImageJobs() {
+  const queue = loadImageJobs();
+  return !!queue?.jobs?.some(
+    (job) => job.status === "pending" || job.status === "submitted"
+  );
 }
 
 /**
  * Generate all images with concurrency control and rate limiting
- * Leonardo.ai limits: 10 concurrent, 100 per minute
+ * Limits come from the selected provider (Leonardo.ai: 10 concurrent, 100 per minute)
  * @param {string[]} descriptions - Array of symbol descriptions
- * @param {function} onProgress - Progress callback (current, total, status)
+ * @param {function} onProgress - Progress callback (current, total, status, timeLeft)
+ *   timeLeft is the estimated milliseconds left, or null before the first image finishes
  * @param {function} onImageComplete - Called when each image completes (index, imageData)
  * @param {AbortSignal} signal - Optional abort signal
+ * @param {string[]} prompts - Image prompt per symbol (missing entries use the default template)
+ * @param {function} withinBudget - Called with the number of images in flight before each new
+ *   image; returning false holds the image until one in flight has been charged and asks
+ *   again, or pauses the run if none is in flight (the rest stays queued for resumeImageJobs)
+ * @param {AbortSignal} pauseSignal - Optional; when aborted, no new images are started and the
+ *   run ends once the ones in flight finish, leaving the rest queued for resumeImageJobs
+ * @param {string|null} style - Provider style to draw in, i.e. the deck's style
+ *   (null for the provider's default style)
  * @returns {Promise<string[]>} Array of image data URLs
  */
 export async function generateAllImages(
   descriptions,
   onProgress = null,
   onImageComplete = null,
-  signal = null
+  signal = null,
+  prompts = [],
+  withinBudget = () => true,
+  pauseSignal = null,
+  style = null
 ) {
-  const images = new Array(descriptions.length).fill(null);
-  const failed = [];
-  let completed = 0;
-
-  // Process in batches of 10 (max concurrent)
-  const batchSize = 10;
+  const queue = {
+    provider: getActiveProvider().id,
+    style,
+    jobs: descriptions.map((description, i) => ({
+      description,
+      prompt: prompts[i] || null,
+      status: "pending",
+      generationId: null,
+      cacheKey: null,
+      error: null,
+    })),
+  };
+  saveImageJobs(queue);
+
+  return runImageJobs(queue, onProgress, onImageComplete, signal, withinBudget, pauseSignal);
+}
 
-  for (let i = 0; i < descriptions.length; i += batchSize) {
-    if (signal?.aborted) {
-      throw new Error("Generation cancelled");
+/**
+ * Continue an interrupted or paused run: poll submitted jobs and generate the rest
+ * Finished images are reported from the cache first.
+ * @param {function} onProgress - Progress callback (current, total, status, timeLeft)
+ * @param {function} onImageComplete - Called when each image completes (index, imageData)
+ * @param {AbortSignal} signal - Optional abort signal
+ * @param {function} withinBudget - Budget check, as for generateAllImages
+ * @param {AbortSignal} pauseSignal - Pause signal, as for generateAllImages
+ * @param {string|null} style - Deck style, as for generateAllImages (jobs already
+ *   submitted keep the style they were sent with)
+ * @returns {Promise<string[]>} Array of image data URLs
+ */
+export async function resumeImageJobs(
+  onProgress = null,
+  onImageComplete = null,
+  signal = null,
+  withinBudget = () => true,
+  pauseSignal = null,
+  style = null
+) {
+  const queue = loadImageJobs();
+  if (!queue) return [];
+
+  for (const [index, job] of queue.jobs.entries()) {
+    // Generation IDs only make sense to the provider that issued them
+    if (job.status === "submitted" && queue.provider !== getActiveProvider().id) {
+      job.status = "pending";
+      job.generationId = null;
+      job.cacheKey = null;
+    }
+    // The image may not have been saved (e.g. storage was full)
+    if (job.status === "done" && !(await loadImage(index))) {
+      job.status = "pending";
     }
+  }
+  queue.provider = getActiveProvider().id;
+  queue.style = style;
+  saveImageJobs(queue);
+
+  return runImageJobs(queue, onProgress, onImageComplete, signal, withinBudget, pauseSignal);
+}
 
-    const batchStart = i;
-    const batchEnd = Math.min(i + batchSize, descriptions.length);
-    const batch = descriptions.slice(batchStart, batchEnd);
+/**
+ * Give a job that has not started its cache key, and use the image cached
+ * under it if there is one
+ * @param {Object} job - Job from the image job queue
+ * @param {number} index - Symbol index
+ * @param {string|null} style - Provider style of the run (see generateAllImages)
+ * @returns {Promise<string|null>} Image data URL, or null if the image must be generated
+ */
+async function reuseCachedJobImage(job, index, style) {
+  try {
+    job.cacheKey = await imageCacheKey(job.description, job.prompt, style);
+    return await reuseCachedImage(index, job.cacheKey);
+  } catch (error) {
+    console.warn(`Could not check the image cache for "${job.description}":`, error);
+    return null;
+  }
+}
+
+/**
+ * Work through the pending and submitted jobs of a queue with a pool of workers
+ * @param {Object} queue - Job queue
+ * @param {function} onProgress - Progress callback (current, total, status, timeLeft)
+ * @param {function} onImageComplete - Called when each image completes (index, imageData, error)
+ * @param {AbortSignal} signal - Optional abort signal
+ * @param {function} withinBudget - Budget check, as for generateAllImages
+ * @param {AbortSignal} pauseSignal - Pause signal, as for generateAllImages
+ * @returns {Promise<string[]>} Array of image data URLs
+ */
+async function runImageJobs(queue, onProgress, onImageComplete, signal, withinBudget, pauseSignal) {
+  const { jobs } = queue;
+  const images = new Array(jobs.length).fill(null);
+  const failed = [];
+  const latencies = []; // Milliseconds per finished job, for the time estimate
+  let completed = 0;
+  let inFlight = 0; // Images started but not charged yet
+  let pausedForBudget = false;
+  let heldBack = false; // A job was taken but left queued by a pause
+  const chargeWaiters = []; // Jobs waiting for an image in flight to be charged
+  const nextCharge = () => new Promise((resolve) => chargeWaiters.push(resolve));
+
+  // A cancelled run is not resumed after a reload
+  const forgetJobs = () => clearImageJobs();
+  signal?.addEventListener("abort", forgetJobs);
+  const persist = () => {
+    if (!signal?.aborted) saveImageJobs(queue);
+  };
+
+  // Report what earlier sessions already finished
+  for (const [index, job] of jobs.entries()) {
+    if (job.status === "done") {
+      images[index] = await loadImage(index);
+      completed++;
+      if (onImageComplete) onImageComplete(index, images[index]);
+    } else if (job.status === "failed") {
+      completed++;
+      if (onImageComplete) onImageComplete(index, null, new Error(job.error));
+    }
+  }
 
-    const status = rateLimiter.getStatus();
+  // Already-submitted jobs go first: they are paid for and only need polling
+  const todo = jobs
+    .map((job, index) => index)
+    .filter((index) => jobs[index].status === "pending" || jobs[index].status === "submitted")
+    .sort((a, b) => (jobs[b].status === "submitted") - (jobs[a].status === "submitted"));
+
+  const rateLimiter = getRateLimiter(getActiveProvider());
+  const { maxConcurrent, maxPerMinute } = rateLimiter;
+  const timeLeft = () => estimateTimeLeft(jobs.length - completed, latencies, rateLimiter);
+
+  /**
+   * Record a finished job and report it
+   * @param {number} index - Job index
+   * @param {string} imageData - Image data URL
+   * @param {string} action - What happened, for the progress text ("Generated" or "Reused")
+   */
+  const finishJob = (index, imageData, action) => {
+    const job = jobs[index];
+    images[index] = imageData;
+    completed++;
+
+    job.status = "done";
+    job.generationId = null;
+    persist();
+
+    if (onImageComplete) {
+      onImageComplete(index, imageData);
+    }
     if (onProgress) {
+      const status = rateLimiter.getStatus();
       onProgress(
         completed,
-        descriptions.length,
-        `Generating batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(
-          descriptions.length / batchSize
-        )} (${status.requestsThisMinute}/100 requests this minute)...`
+        jobs.length,
+        `${action}: ${job.description} (${status.active} active, ${status.requestsThisMinute}/${maxPerMinute} this minute)`,
+        timeLeft()
       );
     }
-
-    // Process batch concurrently (up to 10 at a time)
-    const batchPromises = batch.map(async (desc, j) => {
-      const index = batchStart + j;
-
-      if (signal?.aborted) {
+  };
+
+  /**
+   * Generate one job and record the outcome
+   * @param {number} index - Job index
+   */
+  const runJob = async (index) => {
+    const job = jobs[index];
+
+    // An image cached by an earlier run or another deck costs nothing
+    if (job.status === "pending") {
+      const cached = await reuseCachedJobImage(job, index, queue.style);
+      if (cached) {
+        finishJob(index, cached, "Reused");
         return;
       }
+    }
 
-      try {
-        const imageData = await generateImageWithRateLimit(desc, index);
-        images[index] = imageData;
-        completed++;
-
-        cacheImage(index, imageData);
-
-        if (onImageComplete) {
-          onImageComplete(index, imageData);
+    // Submitted jobs are already paid for; new ones must fit the budget. One that
+    // only misses because of images still in flight waits for their charges,
+    // which also firm up the price estimate, before deciding
+    if (job.status === "pending") {
+      while (!withinBudget(inFlight)) {
+        if (inFlight === 0) {
+          pausedForBudget = true;
+          return;
         }
-        if (onProgress) {
-          const status = rateLimiter.getStatus();
-          onProgress(
-            completed,
-            descriptions.length,
-            `Generated: ${desc} (${status.active} active, ${status.requestsThisMinute}/100 this minute)`
-          );
+        await nextCharge();
+        if (signal?.aborted || pauseSignal?.aborted) {
+          heldBack = true;
+          return;
         }
-      } catch (error) {
-        console.error(`Failed to generate image ${index}:`, error);
-        failed.push({ index, description: desc, error: error.message });
-        completed++;
+      }
+    }
 
-        if (onImageComplete) {
-          onImageComplete(index, null, error);
-        }
-        if (onProgress) {
-          onProgress(
-            completed,
-            descriptions.length,
-            `Failed: ${desc} - ${error.message}`
-          );
-        }
+    const startedAt = Date.now();
+    let charging = true;
+    const charged = () => {
+      if (charging) {
+        charging = false;
+        inFlight--;
+        chargeWaiters.splice(0).forEach((resolve) => resolve());
       }
-    });
+    };
+    inFlight++;
+    try {
+      const imageData = await generateImageWithRateLimit(
+        job,
+        index,
+        queue.style,
+        (generationId) => {
+          charged();
+          job.status = "submitted";
+          job.generationId = generationId;
+          persist();
+        },
+        signal
+      );
+      latencies.push(Date.now() - startedAt);
+
+      await saveImage(index, imageData, job.cacheKey);
+      finishJob(index, imageData, "Generated");
+    } catch (error) {
+      if (signal?.aborted) {
+        return;
+      }
+      console.error(`Failed to generate image ${index}:`, error);
+      failed.push({ index, description: job.description, error: error.message });
+      completed++;
 
-    // Wait for all in batch to complete
-    await Promise.all(batchPromises);
+      job.status = "failed";
+      job.generationId = null;
+      job.error = error.message;
+      persist();
 
-    // Brief pause between batches to avoid overwhelming the API
-    if (batchEnd < descriptions.length) {
-      await new Promise((resolve) => setTimeout(resolve, 1000));
+      if (onImageComplete) {
+        onImageComplete(index, null, error);
+      }
+      if (onProgress) {
+        onProgress(
+          completed,
+          jobs.length,
+          `Failed: ${job.description} - ${error.message}`,
+          timeLeft()
+        );
+      }
+    } finally {
+      charged();
     }
-  }
+  };
+
+  // Each worker starts the next job as soon as its last one finishes,
+  // so one slow image never holds up the rest
+  let next = 0;
+  const worker = async () => {
+    while (next < todo.length && !signal?.aborted && !pauseSignal?.aborted && !pausedForBudget) {
+      await runJob(todo[next++]);
+    }
+  };
 
-  if (failed.length > 0) {
-    console.warn(`${failed.length} images failed to generate:`, failed);
+  if (onProgress && todo.length > 0) {
+    onProgress(completed, jobs.length, `Generating ${todo.length} images...`, null);
   }
+  await Promise.all(
+    Array.from({ length: Math.min(maxConcurrent, todo.length) }, worker)
+  );
 
-  return images;
-}
-
-/**
- * Cache an image in localStorage
- * @param {number} index - Symbol index
- * @param {string} imageData - Base64 image data
- */
-export function cacheImage(index, imageData) {
-  try {
-    localStorage.setItem(`${STORAGE_KEY_IMAGE_PREFIX}${index}`, imageData);
-  } catch (e) {
-    console.warn("Cache quota exceeded, clearing old images");
-    clearImageCache();
+  signal?.removeEventListener("abort", forgetJobs);
+  if (signal?.aborted) {
+    throw new Error("Generation cancelled");
   }
-}
-
-/**
- * Get cached image
- * @param {number} index - Symbol index
- * @returns {string|null}
- */
-export function getCachedImage(index) {
-  return localStorage.getItem(`${STORAGE_KEY_IMAGE_PREFIX}${index}`);
-}
-
-/**
- * Get all cached images
- * @param {number} count - Number of images to retrieve
- * @returns {string[]}
- */
-export function getAllCachedImages(count = 57) {
-  const images = [];
-  for (let i = 0; i < count; i++) {
-    images.push(getCachedImage(i));
+  if (pausedForBudget) {
+    console.warn("Image budget reached, pausing generation");
   }
-  return images;
-}
+  const paused = pausedForBudget || (pauseSignal?.aborted && (next < todo.length || heldBack));
 
-/**
- * Clear all cached images
- * @param {number} maxCount - Maximum number of cached images to clear
- */
-export function clearImageCache(maxCount = 57) {
-  for (let i = 0; i < maxCount; i++) {
-    localStorage.removeItem(`${STORAGE_KEY_IMAGE_PREFIX}${i}`);
+  if (failed.length > 0) {
+    console.warn(`${failed.length} images failed to generate:`, failed);
   }
-}
 
-/**
- * Check if all images are cached
- * @returns {boolean}
- */
-export function hasAllCachedImages() {
-  for (let i = 0; i < 57; i++) {
-    if (!getCachedImage(i)) {
-      return false;
-    }
+  // The run is over; nothing left to resume unless it was paused
+  if (!paused) {
+    clearImageJobs();
   }
-  return true;
+
+  return images;
 }
@@ -4,30 +4,74 @@
  */
 
 import { jsPDF } from 'jspdf';
+import { cropImage, getCropRect } from './images.js';
+
+// Letter pages with 2 x 2 cards
+const PAGE_WIDTH = 8.5;
+const PAGE_HEIGHT = 11;
+const MARGIN = 0.5;
+const CARDS_PER_ROW = 2;
+const CARDS_PER_COL = 2;
+const CARD_WIDTH = (PAGE_WIDTH - MARGIN * 2) / CARDS_PER_ROW;
+const CARD_HEIGHT = (PAGE_HEIGHT - MARGIN * 2) / CARDS_PER_COL;
+const CARD_SIZE = Math.min(CARD_WIDTH, CARD_HEIGHT) * 0.95; // Inches
+
+const LAYOUT_SIZE = 200; // Card size the layouts are computed for
+export const PRINT_DPI = 300;
 
 /**
- * Convert an image data URL to PNG format using canvas
+ * Work out how many pixels each symbol image needs to print sharply
+ * 
+ * A symbol's largest box across the deck sets its size. Symbols cropped to
+ * their subject are scaled up to fill the box, so the whole image needs
+ * proportionally more pixels.
+ * 
+ * @param {number[][]} cards - Card configurations (symbol indices)
+ * @param {Object[][]} layouts - Layouts for each card
+ * @param {number} cardSize - Printed card size in inches
+ * @param {number} dpi - Print resolution
+ * @returns {number[]} Longest image side in pixels, by symbol index (undefined for unused symbols)
+ */
+export function getPrintSizes(cards, layouts, cardSize, dpi = PRINT_DPI) {
+    const sizes = [];
+    cards.forEach((card, cardIndex) => {
+        card.forEach((symbolIndex, i) => {
+            const pos = layouts[cardIndex]?.[i];
+            if (!pos) return;
+            
+            const inches = pos.size / LAYOUT_SIZE * cardSize;
+            const fill = pos.crop ? Math.max(pos.crop.width, pos.crop.height) : 1;
+            sizes[symbolIndex] = Math.max(sizes[symbolIndex] || 0, Math.ceil(inches * dpi / fill));
+        });
+    });
+    return sizes;
+}
+
+/**
+ * Convert an image data URL to PNG format using canvas, scaling it down if needed
  * This is needed because jsPDF doesn't support WEBP
  * @param {string} dataUrl - Image data URL
+ * @param {number} maxSize - Longest side in pixels
  * @returns {Promise<string>} PNG data URL
  */
-async function convertToPNG(dataUrl) {
+async function convertToPNG(dataUrl, maxSize = Infinity) {
     return new Promise((resolve, reject) => {
         const img = new Image();
         img.crossOrigin = 'anonymous';
         img.onload = () => {
             try {
+                const width = img.width || 512;
+                const height = img.height || 512;
+                const scale = Math.min(1, maxSize / Math.max(width, height));
+                
                 const canvas = document.createElement('canvas');
-                canvas.width = img.width || 512;
-                canvas.height = img.height || 512;
+                canvas.width = Math.max(1, Math.round(width * scale));
+                canvas.height = Math.max(1, Math.round(height * scale));
                 const ctx = canvas.getContext('2d');
+                ctx.imageSmoothingQuality = 'high';
                 
-                // Fill with white background (in case of transparency)
-                ctx.fillStyle = '#FFFFFF';
-                ctx.fillRect(0, 0, canvas.width, canvas.height);
-                
-                // Draw image
-                ctx.drawImage(img, 0, 0);
+                // Draw image, keeping transparency so symbols sit cleanly on the card
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
                 
                 // Convert to PNG
                 const pngDataUrl = canvas.toDataURL('image/png');
@@ -55,17 +99,20 @@ async function convertToPNG(dataUrl) {
 }
 
 /**
- * Pre-process images to ensure they're in a format jsPDF supports
+ * Pre-process images to ensure they're in a format jsPDF supports, at the
+ * resolution they are printed at
  * @param {string[]} images - Array of image data URLs
+ * @param {number[]} sizes - Longest side in pixels per image (see getPrintSizes)
  * @returns {Promise<string[]>} Processed images
  */
-async function preprocessImages(images) {
+async function preprocessImages(images, sizes) {
     const processed = [];
     
     for (let i = 0; i < images.length; i++) {
         const img = images[i];
-        if (!img) {
-            console.log(`Image ${i}: null/empty`);
+        if (!img || !sizes[i]) {
+            // Missing, or not on any card
+            console.log(`Image ${i}: null/empty or unused`);
             processed.push(null);
             continue;
         }
@@ -78,7 +125,7 @@ async function preprocessImages(images) {
         // Convert ALL images to PNG for maximum jsPDF compatibility
         // jsPDF has issues with WEBP and sometimes with other formats
         try {
-            const converted = await convertToPNG(img);
+            const converted = await convertToPNG(img, sizes[i]);
             processed.push(converted);
             if (format !== 'png') {
                 console.log(`  Converted image ${i} from ${format} to PNG`);
@@ -99,9 +146,12 @@ async function preprocessImages(images) {
  * @param {string[]} images - Array of image data URLs
  * @param {Object[][]} layouts - Array of layouts for each card
  * @param {function} onProgress - Progress callback
+ * @param {Object} options - Rendering options
+ * @param {string} options.layoutMode - 'grid' for square cards, 'circle' for round cards
+ * @param {Object[]} options.imageBounds - Visible subject bounds per symbol, for layouts with cropped symbols
  * @returns {Promise<jsPDF>}
  */
-export async function generatePDF(cards, images, layouts, onProgress = null) {
+export async function generatePDF(cards, images, layouts, onProgress = null, { layoutMode = 'grid', imageBounds = [] } = {}) {
     // Debug: Check images array
     const validImages = images.filter(img => img && img.length > 0);
     console.log(`PDF Generation: ${validImages.length}/${images.length} valid images`);
@@ -111,26 +161,27 @@ export async function generatePDF(cards, images, layouts, onProgress = null) {
         onProgress(0, 1, 'Preparing images for PDF...');
     }
     console.log(`Input images array: ${images.length} items, valid: ${images.filter(i => i && i.length > 0).length}`);
-    const processedImages = await preprocessImages(images);
+    const processedImages = await preprocessImages(images, getPrintSizes(cards, layouts, CARD_SIZE));
     console.log(`Processed images: ${processedImages.length} items, valid: ${processedImages.filter(i => i && i.length > 0).length}`);
     
+    // Crop once per symbol rather than once per card
+    const croppedImages = await Promise.all(processedImages.map(async (img, i) => {
+        if (!img || !imageBounds[i]) return null;
+        try {
+            return await cropImage(img, imageBounds[i]);
+        } catch (e) {
+            console.error(`  Failed to crop image ${i}:`, e);
+            return null;
+        }
+    }));
+    
     const pdf = new jsPDF({
         orientation: 'portrait',
         unit: 'in',
         format: 'letter'
     });
     
-    const pageWidth = 8.5;
-    const pageHeight = 11;
-    const margin = 0.5;
-    const cardsPerRow = 2;
-    const cardsPerCol = 2;
-    const cardsPerPage = cardsPerRow * cardsPerCol; // 4 cards per page
-    
-    const cardWidth = (pageWidth - margin * 2) / cardsPerRow;
-    const cardHeight = (pageHeight - margin * 2) / cardsPerCol;
-    const cardSize = Math.min(cardWidth, cardHeight) * 0.95;
-    
+    const cardsPerPage = CARDS_PER_ROW * CARDS_PER_COL; // 4 cards per page
     const totalPages = Math.ceil(cards.length / cardsPerPage);
     
     for (let pageIndex = 0; pageIndex < totalPages; pageIndex++) {
@@ -147,13 +198,13 @@ export async function generatePDF(cards, images, layouts, onProgress = null) {
         
         for (let i = startCard; i < endCard; i++) {
             const cardIndexOnPage = i - startCard;
-            const row = Math.floor(cardIndexOnPage / cardsPerRow);
-            const col = cardIndexOnPage % cardsPerRow;
+            const row = Math.floor(cardIndexOnPage / CARDS_PER_ROW);
+            const col = cardIndexOnPage % CARDS_PER_ROW;
             
-            const x = margin + col * cardWidth + (cardWidth - cardSize) / 2;
-            const y = margin + row * cardHeight + (cardHeight - cardSize) / 2;
+            const x = MARGIN + col * CARD_WIDTH + (CARD_WIDTH - CARD_SIZE) / 2;
+            const y = MARGIN + row * CARD_HEIGHT + (CARD_HEIGHT - CARD_SIZE) / 2;
             
-            await drawCard(pdf, cards[i], processedImages, layouts[i], x, y, cardSize);
+            await drawCard(pdf, cards[i], { full: processedImages, cropped: croppedImages }, layouts[i], x, y, CARD_SIZE, layoutMode);
         }
     }
     
@@ -165,35 +216,62 @@ export async function generatePDF(cards, images, layouts, onProgress = null) {
 }
 
 /**
- * Draw a single card on the PDF (square with rounded corners)
+ * Draw an image rotated clockwise (like CSS rotate()) around its center
+ * jsPDF rotates counter-clockwise around the bottom-left corner,
+ * so that corner is shifted to keep the center in place
+ */
+function addRotatedImage(pdf, imageData, format, centerX, centerY, width, height, rotation) {
+    if (!rotation) {
+        pdf.addImage(imageData, format, centerX - width / 2, centerY - height / 2, width, height);
+        return;
+    }
+    
+    const angle = rotation * Math.PI / 180;
+    const anchorX = centerX - width / 2 * Math.cos(angle) - height / 2 * Math.sin(angle);
+    const anchorY = centerY - width / 2 * Math.sin(angle) + height / 2 * Math.cos(angle);
+    pdf.addImage(imageData, format, anchorX, anchorY - height, width, height, undefined, undefined, -rotation);
+}
+
+/**
+ * Draw a single card on the PDF (square with rounded corners, or round)
+ * `images` holds the full images and, where available, images cropped to their subject
  */
-async function drawCard(pdf, symbolIndices, images, layout, x, y, size) {
+async function drawCard(pdf, symbolIndices, images, layout, x, y, size, layoutMode = 'grid') {
     const cornerRadius = 0.1; // Rounded corners in inches
+    const isRound = layoutMode === 'circle';
     
     // Debug: Log card info
-    console.log(`Drawing card with symbols: [${symbolIndices.join(', ')}], layout positions: ${layout.length}, images available: ${images.length}`);
+    console.log(`Drawing card with symbols: [${symbolIndices.join(', ')}], layout positions: ${layout.length}, images available: ${images.full.length}`);
     
-    // Draw card square (thin dashed border for cutting)
+    // Draw card outline (thin dashed border for cutting)
     pdf.setDrawColor(180, 180, 180);
     pdf.setLineWidth(0.01); // Thin line (0.01 inches)
     pdf.setLineDashPattern([0.08, 0.04], 0); // Longer dashes, shorter gaps
-    pdf.roundedRect(x, y, size, size, cornerRadius, cornerRadius, 'S');
+    if (isRound) {
+        pdf.circle(x + size / 2, y + size / 2, size / 2, 'S');
+    } else {
+        pdf.roundedRect(x, y, size, size, cornerRadius, cornerRadius, 'S');
+    }
     pdf.setLineDashPattern([], 0);
     pdf.setLineWidth(0.02); // Reset to default
     
     // Draw white fill
     pdf.setFillColor(255, 255, 255);
-    pdf.roundedRect(x + 0.02, y + 0.02, size - 0.04, size - 0.04, cornerRadius, cornerRadius, 'F');
+    if (isRound) {
+        pdf.circle(x + size / 2, y + size / 2, size / 2 - 0.02, 'F');
+    } else {
+        pdf.roundedRect(x + 0.02, y + 0.02, size - 0.04, size - 0.04, cornerRadius, cornerRadius, 'F');
+    }
     
     // Draw symbols using the same layout as web preview
-    const layoutSize = 200; // Original layout is based on 200px
-    const scale = size / layoutSize;
+    const scale = size / LAYOUT_SIZE;
     const padding = size * 0.02; // Minimal padding
     
     for (let i = 0; i < symbolIndices.length; i++) {
         const symbolIndex = symbolIndices[i];
-        const imageData = images[symbolIndex];
         const pos = layout[i];
+        const cropped = pos?.crop ? images.cropped[symbolIndex] : null;
+        const imageData = cropped || images.full[symbolIndex];
         
         // Debug each symbol
         console.log(`  Symbol ${i}: index=${symbolIndex}, hasImage=${!!imageData}, hasPos=${!!pos}, imageLen=${imageData ? imageData.length : 0}`);
@@ -228,7 +306,13 @@ async function drawCard(pdf, symbolIndices, images, layout, x, y, size) {
                 }
             }
             
-            pdf.addImage(imgDataToUse, format, imgX, imgY, imgSize, imgSize);
+            if (cropped) {
+                // Cropped subject fills its box the same way as the web preview
+                const rect = getCropRect(pos.crop, imgSize);
+                addRotatedImage(pdf, imgDataToUse, format, imgX + imgSize / 2, imgY + imgSize / 2, rect.width, rect.height, pos.rotation);
+            } else {
+                addRotatedImage(pdf, imgDataToUse, format, imgX + imgSize / 2, imgY + imgSize / 2, imgSize, imgSize, pos.rotation);
+            }
         } catch (e) {
             console.error(`Failed to add image ${symbolIndex} to PDF:`, e.message);
         }
@@ -247,9 +331,9 @@ export function downloadPDF(pdf, filename = 'spot-it-cards.pdf') {
 /**
  * Generate and download PDF in one step
  */
-export async function generateAndDownload(cards, images, layouts, onProgress = null) {
+export async function generateAndDownload(cards, images, layouts, onProgress = null, options = {}) {
     try {
-        const pdf = await generatePDF(cards, images, layouts, onProgress);
+        const pdf = await generatePDF(cards, images, layouts, onProgress, options);
         downloadPDF(pdf);
         return true;
     } catch (error) {
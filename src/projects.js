@@ -0,0 +1,199 @@
+/**
+ * Project Library
+ * Every deck is a project with its own saved state, images (see storage.js)
+ * and image job queue. The library index keeps what the landing view shows:
+ * { id, name, createdAt, updatedAt, symbolCount, imageCount, thumbnail }
+ */
+
+const STORAGE_KEY_PROJECTS = 'spotit_projects';
+const STORAGE_KEY_ACTIVE_PROJECT = 'spotit_active_project';
+const STORAGE_KEY_STATE_PREFIX = 'spotit_state_';
+const LEGACY_STATE_KEY = 'spotit_state'; // The single deck saved before projects existed
+const DEFAULT_NAME = 'Untitled Deck';
+
+/**
+ * Read the library index
+ * @returns {Object[]}
+ */
+function loadProjects() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY_PROJECTS)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Write the library index
+ * @param {Object[]} projects - Projects
+ */
+function saveProjects(projects) {
+    localStorage.setItem(STORAGE_KEY_PROJECTS, JSON.stringify(projects));
+}
+
+/**
+ * Make a new project ID
+ * @returns {string}
+ */
+function generateProjectId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * List all projects, most recently changed first
+ * @returns {Object[]}
+ */
+export function listProjects() {
+    return loadProjects().sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Look up a project
+ * @param {string} id - Project ID
+ * @returns {Object|null}
+ */
+export function getProject(id) {
+    return loadProjects().find(project => project.id === id) || null;
+}
+
+/**
+ * Get the ID of the open project
+ * @returns {string|null}
+ */
+export function getActiveProjectId() {
+    return localStorage.getItem(STORAGE_KEY_ACTIVE_PROJECT);
+}
+
+/**
+ * Open a project
+ * @param {string} id - Project ID
+ */
+export function setActiveProject(id) {
+    if (getProject(id)) {
+        localStorage.setItem(STORAGE_KEY_ACTIVE_PROJECT, id);
+    }
+}
+
+/**
+ * Make sure a project is open, creating the first one if needed
+ * A deck saved before projects existed becomes the first project.
+ * @returns {Object} The open project
+ */
+export function ensureActiveProject() {
+    const active = getProject(getActiveProjectId());
+    if (active) return active;
+    
+    const existing = listProjects()[0];
+    if (existing) {
+        setActiveProject(existing.id);
+        return existing;
+    }
+    
+    const legacyState = localStorage.getItem(LEGACY_STATE_KEY);
+    const project = createProject(legacyState ? 'My Deck' : DEFAULT_NAME);
+    if (legacyState) {
+        localStorage.setItem(`${STORAGE_KEY_STATE_PREFIX}${project.id}`, legacyState);
+        localStorage.removeItem(LEGACY_STATE_KEY);
+    }
+    setActiveProject(project.id);
+    return project;
+}
+
+/**
+ * Create an empty project
+ * @param {string} name - Project name
+ * @returns {Object} New project
+ */
+export function createProject(name = DEFAULT_NAME) {
+    const now = Date.now();
+    const project = {
+        id: generateProjectId(),
+        name: name.trim() || DEFAULT_NAME,
+        createdAt: now,
+        updatedAt: now,
+        symbolCount: 0,
+        imageCount: 0,
+        thumbnail: null
+    };
+    saveProjects([...loadProjects(), project]);
+    return project;
+}
+
+/**
+ * Copy a project's saved state into a new project
+ * Images are copied separately (see storage.js copyProjectImages).
+ * @param {string} id - Project to copy
+ * @returns {Object|null} New project
+ */
+export function duplicateProject(id) {
+    const source = getProject(id);
+    if (!source) return null;
+    
+    const copy = createProject(`Copy of ${source.name}`);
+    const savedState = localStorage.getItem(`${STORAGE_KEY_STATE_PREFIX}${id}`);
+    if (savedState) {
+        localStorage.setItem(`${STORAGE_KEY_STATE_PREFIX}${copy.id}`, savedState);
+    }
+    return updateProject(copy.id, {
+        symbolCount: source.symbolCount,
+        imageCount: source.imageCount,
+        thumbnail: source.thumbnail
+    });
+}
+
+/**
+ * Change a project's library entry (name, thumbnail, counts)
+ * @param {string} id - Project ID
+ * @param {Object} changes - Fields to change
+ * @returns {Object|null} Updated project
+ */
+export function updateProject(id, changes) {
+    const projects = loadProjects();
+    const project = projects.find(p => p.id === id);
+    if (!project) return null;
+    
+    Object.assign(project, changes);
+    if (typeof changes.name === 'string') {
+        project.name = changes.name.trim() || DEFAULT_NAME;
+    }
+    saveProjects(projects);
+    return project;
+}
+
+/**
+ * Delete a project's library entry and saved state
+ * Images and queued image jobs are deleted separately.
+ * @param {string} id - Project ID
+ */
+export function deleteProject(id) {
+    saveProjects(loadProjects().filter(project => project.id !== id));
+    localStorage.removeItem(`${STORAGE_KEY_STATE_PREFIX}${id}`);
+    if (getActiveProjectId() === id) {
+        localStorage.removeItem(STORAGE_KEY_ACTIVE_PROJECT);
+    }
+}
+
+/**
+ * Save the open project's state
+ * @param {Object} savedState - State to save (from main.js saveState)
+ */
+export function saveProjectState(savedState) {
+    const id = getActiveProjectId();
+    if (!id) return;
+    
+    localStorage.setItem(`${STORAGE_KEY_STATE_PREFIX}${id}`, JSON.stringify(savedState));
+    updateProject(id, {
+        updatedAt: Date.now(),
+        symbolCount: savedState.symbolCount,
+        imageCount: savedState.imageCount
+    });
+}
+
+/**
+ * Load the open project's saved state
+ * @returns {Object|null} Saved state, or null for a new project
+ */
+export function loadProjectState() {
+    const saved = localStorage.getItem(`${STORAGE_KEY_STATE_PREFIX}${getActiveProjectId()}`);
+    return saved ? JSON.parse(saved) : null;
+}
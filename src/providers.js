@@ -0,0 +1,623 @@
+/**
+ * Image Generation Providers
+ * Every provider turns a prompt into one square image. A provider is a
+ * plain object:
+ *
+ *   id, name, description      - Identity and help text for the UI
+ *   keyType                    - Stored API key it needs ("leonardo", "openai" or null)
+ *   model                      - Model name, if the provider always uses the same one
+ *   settings                   - Extra fields, e.g. server URL: [{ id, label, default }]
+ *                                (model and settings identify cached images, see openai.js)
+ *   styles, defaultStyle       - Style options for the style dropdown
+ *   limits                     - { maxConcurrent, maxPerMinute }
+ *   generate(prompt, options)  - Resolves to an image URL or data URL.
+ *                                options: { apiKey, style, settings, onSubmitted, onUsage, signal }
+ *                                onUsage({ images, credits, cost }) reports what was charged;
+ *                                signal (AbortSignal) is passed to every fetch.
+ *                                Failed requests throw responseError(), so callers
+ *                                can retry by HTTP status and honour Retry-After
+ *   resume(jobId, options)     - Optional, for providers that queue work remotely:
+ *                                generate() reports the remote job ID through
+ *                                onSubmitted(jobId), and resume() picks the job up
+ *                                again (e.g. after a page reload) without paying twice
+ */
+
+const STORAGE_KEY_PROVIDER = "spotit_image_provider";
+const STORAGE_KEY_PROVIDER_SETTINGS = "spotit_provider_settings";
+const DEFAULT_PROVIDER = "leonardo";
+
+// Keeps out the things that ruin a card symbol
+const NEGATIVE_PROMPT =
+  "text, letters, watermark, frame, border, circle, multiple objects, duplicates, busy background";
+
+/**
+ * Wait between polling attempts, stopping early if the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>} Rejects with the signal's AbortError when aborted
+ */
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Append a style's prompt modifier to a prompt
+ * @param {string} prompt - Image prompt
+ * @param {string} modifier - Style modifier (may be empty)
+ * @returns {string}
+ */
+function withStyle(prompt, modifier) {
+  return modifier ? `${prompt} Style: ${modifier}.` : prompt;
+}
+
+/**
+ * Remove any trailing slash from a server URL
+ * @param {string} url - Base URL
+ * @returns {string}
+ */
+function trimUrl(url) {
+  return url.trim().replace(/\/+$/, "");
+}
+
+/**
+ * Read an error message from a failed response
+ * @param {Response} response - Fetch response
+ * @param {string} fallback - Message if the body has none
+ * @returns {Promise<string>}
+ */
+async function readError(response, fallback) {
+  try {
+    const error = await response.json();
+    return (
+      error.error?.message || error.message || error.error || error.detail || fallback
+    );
+  } catch (e) {
+    return `${fallback} (HTTP ${response.status})`;
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Milliseconds to wait, or null if missing or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build an error for a failed response
+ * @param {Response} response - Fetch response
+ * @param {string} fallback - Message if the body has none
+ * @returns {Promise<Error>} Error with status (HTTP status) and retryAfter (ms or null)
+ */
+export async function responseError(response, fallback) {
+  const error = new Error(await readError(response, fallback));
+  error.status = response.status;
+  error.retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+  return error;
+}
+
+// Prompt modifiers shared by providers without built-in style presets
+const PROMPT_STYLES = {
+  "Flat Icon": "flat vector icon, bold clean outlines, simple shapes, bright colours",
+  Cartoon: "colourful cartoon illustration, thick outlines",
+  "3D Render": "glossy 3D render, soft studio lighting",
+  Watercolor: "watercolor painting, soft edges",
+  "Pencil Sketch": "hand-drawn pencil sketch",
+  Photo: "realistic product photo, soft shadow",
+  None: "",
+};
+
+// Leonardo.ai style presets for the Nano Banana model
+// From: https://docs.leonardo.ai/docs/generate-images-using-nano-banana
+const LEONARDO_STYLES = {
+  "3D Render": "debdf72a-91a4-467b-bf61-cc02bdeb69c6",
+  Acrylic: "3cbb655a-7ca4-463f-b697-8a03ad67327c",
+  Creative: "6fedbf1f-4a17-45ec-84fb-92fe524a29ef",
+  Dynamic: "111dc692-d470-4eec-b791-3475abac4c46",
+  Fashion: "594c4a08-a522-4e0e-b7ff-e4dac4b6b622",
+  "Game Concept": "09d2b5b5-d7c5-4c02-905d-9f84051640f4",
+  "Graphic Design 2D": "703d6fe5-7f1c-4a9e-8da0-5331f214d5cf",
+  "Graphic Design 3D": "7d7c2bc5-4b12-4ac3-81a9-630057e9e89f",
+  Illustration: "645e4195-f63d-4715-a3f2-3fb1e6eb8c70",
+  None: "556c1ee5-ec38-42e8-955a-1e82dad0ffa1",
+  Portrait: "8e2bc543-6ee2-45f9-bcd9-594b6ce84dcd",
+  "Portrait Cinematic": "4edb03c9-8a26-4041-9d01-f85b5d4abd71",
+  "Portrait Fashion": "0d34f8e1-46d4-428f-8ddd-4b11811fa7c9",
+  "Pro B&W Photography": "22a9a7d2-2166-4d86-80ff-22e2643adbcf",
+  "Pro Color Photography": "7c3f932b-a572-47cb-9b9b-f20211e63b5b",
+  "Pro Film Photography": "581ba6d6-5aac-4492-bebe-54c424a0d46e",
+  "Ray Traced": "b504f83c-3326-4947-82e1-7fe9e839ec0f",
+  "Stock Photo": "5bdc3f2a-1be6-4d1c-8e77-992a30824a2c",
+  Watercolor: "1db308ce-c7ad-4d10-96fd-592fa6b75cc4",
+};
+
+/**
+ * Leonardo.ai Nano Banana model (gemini-2.5-flash-image)
+ * Documentation: https://docs.leonardo.ai/docs/generate-images-using-nano-banana
+ */
+const leonardo = {
+  id: "leonardo",
+  name: "Leonardo.ai",
+  description: "Nano Banana model in the cloud. Needs a Leonardo.ai API key.",
+  keyType: "leonardo",
+  model: "gemini-2.5-flash-image",
+  settings: [],
+  styles: LEONARDO_STYLES,
+  defaultStyle: "Illustration", // Icon-style images
+  limits: { maxConcurrent: 10, maxPerMinute: 100 },
+
+  /**
+   * Create a generation with the V2 API and poll until it completes
+   * @returns {Promise<string>} Image URL
+   */
+  async generate(prompt, { apiKey, style, onSubmitted, onUsage, signal }) {
+    const createResponse = await fetch(
+      "https://cloud.leonardo.ai/api/rest/v2/generations",
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${apiKey}`,
+        },
+        body: JSON.stringify({
+          model: this.model,
+          parameters: {
+            width: 1024,
+            height: 1024,
+            prompt: prompt,
+            quantity: 1,
+            style_ids: [LEONARDO_STYLES[style] || LEONARDO_STYLES[this.defaultStyle]],
+            prompt_enhance: "OFF",
+          },
+          public: false,
+        }),
+        signal,
+      }
+    );
+
+    if (!createResponse.ok) {
+      throw await responseError(createResponse, "Failed to create generation");
+    }
+
+    const createData = await createResponse.json();
+    // V2 API returns generationId inside "generate" object
+    const generationId =
+      createData.generate?.generationId || createData.generationId;
+
+    if (!generationId) {
+      console.error("Unexpected API response:", createData);
+      throw new Error("No generation ID received");
+    }
+    // Credits are charged on submission; the cost is reported when the API includes it
+    onUsage?.({
+      images: 1,
+      credits:
+        createData.generate?.apiCreditCost ??
+        createData.sdGenerationJob?.apiCreditCost ??
+        0,
+    });
+    onSubmitted?.(generationId);
+
+    return pollLeonardoGeneration(apiKey, generationId, signal);
+  },
+
+  /**
+   * Poll an earlier generation until it completes
+   * @returns {Promise<string>} Image URL
+   */
+  resume(generationId, { apiKey, signal }) {
+    return pollLeonardoGeneration(apiKey, generationId, signal);
+  },
+};
+
+/**
+ * Poll Leonardo.ai for generation completion
+ * Works with both V1 and V2 API responses
+ * @param {string} apiKey - Leonardo API key
+ * @param {string} generationId - Generation ID to poll
+ * @param {AbortSignal} signal - Optional abort signal
+ * @param {number} maxAttempts - Maximum polling attempts
+ * @returns {Promise<string>} Image URL
+ */
+async function pollLeonardoGeneration(apiKey, generationId, signal = null, maxAttempts = 60) {
+  const pollInterval = 2000; // 2 seconds
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    await sleep(pollInterval, signal);
+
+    // Use V1 endpoint for polling (works for both V1 and V2 generations)
+    const response = await fetch(
+      `https://cloud.leonardo.ai/api/rest/v1/generations/${generationId}`,
+      {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+        },
+        signal,
+      }
+    );
+
+    if (!response.ok) {
+      continue; // Retry on error
+    }
+
+    const data = await response.json();
+    const generation = data.generations_by_pk;
+
+    if (generation?.status === "COMPLETE") {
+      // Check for images in the response (handles both V1 and V2 response formats)
+      const images = generation.generated_images || generation.images;
+      if (images?.length > 0) {
+        return images[0].url;
+      }
+    }
+
+    if (generation?.status === "FAILED") {
+      throw new Error("Image generation failed");
+    }
+  }
+
+  throw new Error("Image generation timed out");
+}
+
+/**
+ * OpenAI Images API (gpt-image-1), using the OpenAI key from step 1
+ * Documentation: https://platform.openai.com/docs/api-reference/images/create
+ */
+const openaiImages = {
+  id: "openai",
+  name: "OpenAI Images",
+  description: "gpt-image-1 in the cloud. Uses the OpenAI API key above.",
+  keyType: "openai",
+  model: "gpt-image-1",
+  settings: [],
+  styles: PROMPT_STYLES,
+  defaultStyle: "Flat Icon",
+  limits: { maxConcurrent: 5, maxPerMinute: 50 },
+
+  /**
+   * @returns {Promise<string>} PNG data URL
+   */
+  async generate(prompt, { apiKey, style, onUsage, signal }) {
+    const response = await fetch("https://api.openai.com/v1/images/generations", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify({
+        model: this.model,
+        prompt: withStyle(prompt, PROMPT_STYLES[style]),
+        size: "1024x1024",
+        quality: "medium",
+        n: 1,
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, "Failed to generate image");
+    }
+
+    const data = await response.json();
+    // gpt-image-1: $5 per 1M text input tokens, $40 per 1M image output tokens
+    onUsage?.({
+      images: 1,
+      cost: data.usage
+        ? (data.usage.input_tokens * 5 + data.usage.output_tokens * 40) / 1e6
+        : 0.042, // Typical medium-quality 1024x1024 image
+    });
+    const base64 = data.data?.[0]?.b64_json;
+    if (!base64) {
+      throw new Error("No image data received");
+    }
+    return `data:image/png;base64,${base64}`;
+  },
+};
+
+/**
+ * Self-hosted Automatic1111 Stable Diffusion WebUI
+ * Start it with: --api --cors-allow-origins=<this app's URL>
+ */
+const automatic1111 = {
+  id: "automatic1111",
+  name: "Automatic1111 (local)",
+  description:
+    "Stable Diffusion WebUI on your own machine, no API key. Start it with --api and --cors-allow-origins set to this page's address.",
+  keyType: null,
+  settings: [
+    { id: "baseUrl", label: "Server URL", default: "http://127.0.0.1:7860" },
+    { id: "size", label: "Image Size (px)", default: "512" },
+  ],
+  styles: PROMPT_STYLES,
+  defaultStyle: "Flat Icon",
+  limits: { maxConcurrent: 1, maxPerMinute: 60 }, // One GPU, one image at a time
+
+  /**
+   * @returns {Promise<string>} PNG data URL
+   */
+  async generate(prompt, { style, settings, onUsage, signal }) {
+    const size = parseInt(settings.size) || 512;
+    const response = await fetch(`${trimUrl(settings.baseUrl)}/sdapi/v1/txt2img`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        prompt: withStyle(prompt, PROMPT_STYLES[style]),
+        negative_prompt: NEGATIVE_PROMPT,
+        width: size,
+        height: size,
+        steps: 25,
+        cfg_scale: 7,
+        batch_size: 1,
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, "Automatic1111 request failed");
+    }
+    onUsage?.({ images: 1 });
+
+    const data = await response.json();
+    if (!data.images?.length) {
+      throw new Error("No image data received");
+    }
+    return `data:image/png;base64,${data.images[0]}`;
+  },
+};
+
+/**
+ * Self-hosted ComfyUI, driven with a basic text-to-image workflow
+ * Start it with: --enable-cors-header
+ */
+const comfyui = {
+  id: "comfyui",
+  name: "ComfyUI (local)",
+  description:
+    "ComfyUI on your own machine, no API key. Start it with --enable-cors-header and set the checkpoint file to use.",
+  keyType: null,
+  settings: [
+    { id: "baseUrl", label: "Server URL", default: "http://127.0.0.1:8188" },
+    { id: "checkpoint", label: "Checkpoint", default: "sd_xl_base_1.0.safetensors" },
+    { id: "size", label: "Image Size (px)", default: "1024" },
+  ],
+  styles: PROMPT_STYLES,
+  defaultStyle: "Flat Icon",
+  limits: { maxConcurrent: 1, maxPerMinute: 60 },
+
+  /**
+   * Queue the workflow and poll its history until the image is saved
+   * @returns {Promise<string>} Image URL on the ComfyUI server
+   */
+  async generate(prompt, { style, settings, onSubmitted, onUsage, signal }) {
+    const baseUrl = trimUrl(settings.baseUrl);
+    const size = parseInt(settings.size) || 1024;
+    const workflow = buildComfyWorkflow(
+      withStyle(prompt, PROMPT_STYLES[style]),
+      settings.checkpoint,
+      size
+    );
+
+    const queueResponse = await fetch(`${baseUrl}/prompt`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ prompt: workflow }),
+      signal,
+    });
+
+    if (!queueResponse.ok) {
+      throw await responseError(queueResponse, "ComfyUI request failed");
+    }
+
+    const { prompt_id: promptId } = await queueResponse.json();
+    if (!promptId) {
+      throw new Error("No prompt ID received");
+    }
+    onUsage?.({ images: 1 });
+    onSubmitted?.(promptId);
+
+    return pollComfyHistory(baseUrl, promptId, signal);
+  },
+
+  /**
+   * Poll an earlier queued prompt until its image is saved
+   * @returns {Promise<string>} Image URL on the ComfyUI server
+   */
+  resume(promptId, { settings, signal }) {
+    return pollComfyHistory(trimUrl(settings.baseUrl), promptId, signal);
+  },
+};
+
+/**
+ * Poll ComfyUI's history until a queued prompt has saved its image
+ * @param {string} baseUrl - ComfyUI server URL
+ * @param {string} promptId - Queued prompt ID
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<string>} Image URL on the ComfyUI server
+ */
+async function pollComfyHistory(baseUrl, promptId, signal = null) {
+  // Local generation can queue behind other jobs, so poll for up to 5 minutes
+  for (let attempt = 0; attempt < 150; attempt++) {
+    await sleep(2000, signal);
+
+    const response = await fetch(`${baseUrl}/history/${promptId}`, { signal });
+    if (!response.ok) continue;
+
+    const history = (await response.json())[promptId];
+    if (history?.status?.status_str === "error") {
+      throw new Error("Image generation failed");
+    }
+
+    const image = Object.values(history?.outputs || {})
+      .flatMap((output) => output.images || [])
+      .find((img) => img.type === "output");
+    if (image) {
+      const params = new URLSearchParams({
+        filename: image.filename,
+        subfolder: image.subfolder,
+        type: image.type,
+      });
+      return `${baseUrl}/view?${params}`;
+    }
+  }
+
+  throw new Error("Image generation timed out");
+}
+
+/**
+ * Build a ComfyUI API-format workflow: checkpoint -> prompts -> sampler -> save
+ * @param {string} prompt - Positive prompt
+ * @param {string} checkpoint - Checkpoint file name
+ * @param {number} size - Image width and height
+ * @returns {Object} Workflow graph keyed by node ID
+ */
+function buildComfyWorkflow(prompt, checkpoint, size) {
+  return {
+    checkpoint: {
+      class_type: "CheckpointLoaderSimple",
+      inputs: { ckpt_name: checkpoint },
+    },
+    positive: {
+      class_type: "CLIPTextEncode",
+      inputs: { text: prompt, clip: ["checkpoint", 1] },
+    },
+    negative: {
+      class_type: "CLIPTextEncode",
+      inputs: { text: NEGATIVE_PROMPT, clip: ["checkpoint", 1] },
+    },
+    latent: {
+      class_type: "EmptyLatentImage",
+      inputs: { width: size, height: size, batch_size: 1 },
+    },
+    sampler: {
+      class_type: "KSampler",
+      inputs: {
+        seed: Math.floor(Math.random() * 2 ** 32),
+        steps: 25,
+        cfg: 7,
+        sampler_name: "euler",
+        scheduler: "normal",
+        denoise: 1,
+        model: ["checkpoint", 0],
+        positive: ["positive", 0],
+        negative: ["negative", 0],
+        latent_image: ["latent", 0],
+      },
+    },
+    decode: {
+      class_type: "VAEDecode",
+      inputs: { samples: ["sampler", 0], vae: ["checkpoint", 2] },
+    },
+    save: {
+      class_type: "SaveImage",
+      inputs: { filename_prefix: "spotit", images: ["decode", 0] },
+    },
+  };
+}
+
+const PROVIDERS = [leonardo, openaiImages, automatic1111, comfyui];
+
+/**
+ * List all image providers
+ * @returns {Object[]}
+ */
+export function getProviders() {
+  return PROVIDERS;
+}
+
+/**
+ * Look up a provider by ID
+ * @param {string} id - Provider ID
+ * @returns {Object|null}
+ */
+export function getProvider(id) {
+  return PROVIDERS.find((provider) => provider.id === id) || null;
+}
+
+/**
+ * Get the selected image provider
+ * @returns {Object}
+ */
+export function getActiveProvider() {
+  const saved = localStorage.getItem(STORAGE_KEY_PROVIDER);
+  return getProvider(saved) || getProvider(DEFAULT_PROVIDER);
+}
+
+/**
+ * Select the image provider
+ * @param {string} id - Provider ID
+ */
+export function setActiveProvider(id) {
+  if (getProvider(id)) {
+    localStorage.setItem(STORAGE_KEY_PROVIDER, id);
+  }
+}
+
+/**
+ * Get a provider's extra settings, filled in with defaults
+ * @param {Object} provider - Provider
+ * @returns {Object} Settings keyed by setting ID
+ */
+export function getProviderSettings(provider) {
+  const saved = JSON.parse(localStorage.getItem(STORAGE_KEY_PROVIDER_SETTINGS) || "{}");
+  const values = {};
+  provider.settings.forEach((setting) => {
+    values[setting.id] = saved[provider.id]?.[setting.id] || setting.default;
+  });
+  return values;
+}
+
+/**
+ * Save a provider's extra settings
+ * @param {Object} provider - Provider
+ * @param {Object} values - Settings keyed by setting ID
+ */
+export function setProviderSettings(provider, values) {
+  const saved = JSON.parse(localStorage.getItem(STORAGE_KEY_PROVIDER_SETTINGS) || "{}");
+  saved[provider.id] = values;
+  localStorage.setItem(STORAGE_KEY_PROVIDER_SETTINGS, JSON.stringify(saved));
+}
+
+/**
+ * Get the selected style for a provider
+ * (Leonardo keeps the storage key it has always used)
+ * @param {Object} provider - Provider
+ * @returns {string} Style name
+ */
+export function getProviderStyle(provider) {
+  const saved = localStorage.getItem(`spotit_${provider.id}_style`);
+  return saved && saved in provider.styles ? saved : provider.defaultStyle;
+}
+
+/**
+ * Select a style for a provider
+ * @param {Object} provider - Provider
+ * @param {string} styleName - Style name (key of provider.styles)
+ */
+export function setProviderStyle(provider, styleName) {
+  if (styleName in provider.styles) {
+    localStorage.setItem(`spotit_${provider.id}_style`, styleName);
+  }
+}
@@ -0,0 +1,653 @@
+/**
+ * Image Storage
+ * Symbol images are kept in IndexedDB as blobs in a content-addressed cache,
+ * keyed by a hash: generated images by a hash of the request that made them
+ * (see openai.js), other images by a hash of their bytes. Each project maps
+ * [projectId, symbol index] to the hash of its image, so decks that ask for
+ * the same image share one copy, and reordering symbols never mixes them up.
+ * Functions work on the open project (see projects.js) unless told otherwise.
+ * localStorage only holds a few MB, so images saved there by earlier
+ * versions (spotit_image_N) are moved into the open project the first time
+ * the database opens, as are images stored before projects existed and
+ * images stored per symbol before the cache existed.
+ * Images replaced by an undoable edit are kept in history slots, keyed
+ * [projectId, 'history:<slot>'] (see history.js).
+ * Every image is a print-resolution master; a small thumbnail of it, for the
+ * UI, is kept under the same hash in a second store.
+ * Cached images that no project or history slot uses any more are deleted
+ * when a project's images are cleared or replaced, or its history slots dropped.
+ */
+
+import { createSymbolThumbnail } from './images.js';
+import { getActiveProjectId } from './projects.js';
+
+const DB_NAME = 'spotit';
+const DB_VERSION = 3; // 2: thumbnails store, 3: content-addressed cache
+const IMAGE_STORE = 'images'; // [projectId, index or history slot] -> hash
+const CACHE_STORE = 'cache'; // hash -> master blob
+const THUMBNAIL_STORE = 'thumbnails'; // hash -> thumbnail blob
+const LEGACY_IMAGE_PREFIX = 'spotit_image_';
+const HISTORY_SLOT_PREFIX = 'history:';
+const MAX_SYMBOLS = 91; // Largest deck (order 9)
+
+let dbPromise = null;
+let errorListener = null;
+
+/**
+ * Listen for images that could not be saved (e.g. storage quota exceeded)
+ * @param {function|null} listener - Called with (error, index)
+ */
+export function setStorageErrorListener(listener) {
+    errorListener = listener;
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>}
+ */
+function committed(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        // Quota errors abort the whole transaction rather than failing a request
+        transaction.onabort = () => reject(transaction.error);
+        transaction.onerror = (event) => reject(event.target.error);
+    });
+}
+
+/**
+ * Run work in a transaction on the image, cache and thumbnail stores
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} work - Called with { images, cache, thumbnails } object stores
+ * @returns {Promise<*>} Whatever work returned, once the transaction has committed
+ */
+async function withImageStore(mode, work) {
+    const db = await openDatabase();
+    const transaction = db.transaction([IMAGE_STORE, CACHE_STORE, THUMBNAIL_STORE], mode);
+    const result = work({
+        images: transaction.objectStore(IMAGE_STORE),
+        cache: transaction.objectStore(CACHE_STORE),
+        thumbnails: transaction.objectStore(THUMBNAIL_STORE)
+    });
+    
+    await committed(transaction);
+    return result;
+}
+
+/**
+ * Add an entry to a cache store unless its hash is already there
+ * Cached entries never change, since other projects may use them.
+ * @param {IDBObjectStore} store - Cache or thumbnail store
+ * @param {Blob} blob - Image blob
+ * @param {string} hash - Cache key
+ */
+function addIfMissing(store, blob, hash) {
+    const request = store.add(blob, hash);
+    request.onerror = (event) => {
+        // Already cached: keep the transaction going
+        event.preventDefault();
+        event.stopPropagation();
+    };
+}
+
+/**
+ * Key range covering every image of a project, history slots included
+ * (array keys sort by their first element, and arrays sort after numbers and strings)
+ * @param {string} projectId - Project ID
+ * @returns {IDBKeyRange}
+ */
+function projectRange(projectId) {
+    return IDBKeyRange.bound([projectId], [projectId, []]);
+}
+
+/**
+ * Open the database, creating it and migrating old images on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(IMAGE_STORE)) {
+                db.createObjectStore(IMAGE_STORE);
+            }
+            if (!db.objectStoreNames.contains(CACHE_STORE)) {
+                db.createObjectStore(CACHE_STORE);
+            }
+            // Version 2 kept thumbnails per symbol; they are made again, per hash, when first loaded
+            if (event.oldVersion < 3 && db.objectStoreNames.contains(THUMBNAIL_STORE)) {
+                db.deleteObjectStore(THUMBNAIL_STORE);
+            }
+            if (!db.objectStoreNames.contains(THUMBNAIL_STORE)) {
+                db.createObjectStore(THUMBNAIL_STORE);
+            }
+        };
+        dbPromise = promisify(request).then(async (db) => {
+            await migrateLegacyImages(db);
+            await migrateImageBlobs(db);
+            return db;
+        });
+        // Ask the browser not to evict images when space runs low
+        navigator.storage?.persist?.().catch(() => {});
+    }
+    return dbPromise;
+}
+
+/**
+ * Move images from localStorage (spotit_image_N) into IndexedDB, and images
+ * keyed by symbol index alone into the open project
+ * The old copies are only removed once the images are safely stored.
+ * @param {IDBDatabase} db - Open database
+ */
+async function migrateLegacyImages(db) {
+    const projectId = getActiveProjectId();
+    await migrateUnscopedImages(db, projectId);
+    
+    const legacy = [];
+    for (let i = 0; i < MAX_SYMBOLS; i++) {
+        const imageData = localStorage.getItem(`${LEGACY_IMAGE_PREFIX}${i}`);
+        if (imageData) legacy.push({ index: i, imageData });
+    }
+    if (legacy.length === 0) return;
+    
+    try {
+        // Stored as blobs for now; migrateImageBlobs moves them into the cache
+        const blobs = await Promise.all(legacy.map(({ imageData }) => dataUrlToBlob(imageData)));
+        const transaction = db.transaction(IMAGE_STORE, 'readwrite');
+        const store = transaction.objectStore(IMAGE_STORE);
+        legacy.forEach(({ index }, i) => store.put(blobs[i], [projectId, index]));
+        await committed(transaction);
+        
+        legacy.forEach(({ index }) => localStorage.removeItem(`${LEGACY_IMAGE_PREFIX}${index}`));
+        console.log(`Moved ${legacy.length} images from localStorage to IndexedDB`);
+    } catch (error) {
+        // Leave them in localStorage and try again next time
+        console.error('Failed to migrate images to IndexedDB:', error);
+    }
+}
+
+/**
+ * Re-key images saved before projects existed (key: symbol index) to the given project
+ * @param {IDBDatabase} db - Open database
+ * @param {string} projectId - Project that gets the images
+ */
+async function migrateUnscopedImages(db, projectId) {
+    const numericKeys = IDBKeyRange.bound(-Infinity, Infinity);
+    const transaction = db.transaction(IMAGE_STORE, 'readwrite');
+    const store = transaction.objectStore(IMAGE_STORE);
+    
+    const [keys, blobs] = await Promise.all([
+        promisify(store.getAllKeys(numericKeys)),
+        promisify(store.getAll(numericKeys))
+    ]);
+    keys.forEach((index, i) => {
+        store.put(blobs[i], [projectId, index]);
+        store.delete(index);
+    });
+    
+    await committed(transaction);
+}
+
+/**
+ * Move images stored as blobs per symbol (before version 3) into the cache,
+ * leaving the hash of each in its place
+ * @param {IDBDatabase} db - Open database
+ */
+async function migrateImageBlobs(db) {
+    try {
+        const reading = db.transaction(IMAGE_STORE, 'readonly');
+        const store = reading.objectStore(IMAGE_STORE);
+        const [keys, values] = await Promise.all([
+            promisify(store.getAllKeys()),
+            promisify(store.getAll())
+        ]);
+        const blobs = keys
+            .map((key, i) => ({ key, blob: values[i] }))
+            .filter(({ blob }) => blob instanceof Blob);
+        if (blobs.length === 0) return;
+        
+        // One at a time, so only one image is in memory
+        for (const entry of blobs) {
+            entry.hash = await hashBlob(entry.blob);
+        }
+        
+        const writing = db.transaction([IMAGE_STORE, CACHE_STORE], 'readwrite');
+        const images = writing.objectStore(IMAGE_STORE);
+        const cache = writing.objectStore(CACHE_STORE);
+        blobs.forEach(({ key, blob, hash }) => {
+            addIfMissing(cache, blob, hash);
+            images.put(hash, key);
+        });
+        await committed(writing);
+        console.log(`Moved ${blobs.length} images into the image cache`);
+    } catch (error) {
+        // The blobs stay readable where they are (see readImage); try again next time
+        console.error('Failed to move images into the image cache:', error);
+    }
+}
+
+/**
+ * Hex SHA-256 digest
+ * @param {BufferSource} data - Bytes to hash
+ * @returns {Promise<string>}
+ */
+async function sha256(data) {
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash of an image's bytes, its cache key when no request key is given
+ * @param {Blob} blob - Image blob
+ * @returns {Promise<string>}
+ */
+async function hashBlob(blob) {
+    return sha256(await blob.arrayBuffer());
+}
+
+/**
+ * Cache key of an image request: equal requests give equal keys
+ * @param {Object} request - What the image was made from (see openai.js)
+ * @returns {Promise<string>}
+ */
+export function createCacheKey(request) {
+    return sha256(new TextEncoder().encode(JSON.stringify(request)));
+}
+
+/**
+ * Convert a data URL to a Blob
+ * @param {string} dataUrl - Image data URL
+ * @returns {Promise<Blob>}
+ */
+async function dataUrlToBlob(dataUrl) {
+    const response = await fetch(dataUrl);
+    return response.blob();
+}
+
+/**
+ * Convert a Blob to a data URL
+ * @param {Blob} blob - Image blob
+ * @returns {Promise<string>}
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onloadend = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Convert an image to a master blob and a thumbnail blob
+ * @param {string} imageData - Image data URL
+ * @returns {Promise<{hash: string, blob: Blob, thumbnail: Blob}>} hash: hash of the image's bytes
+ */
+async function toBlobs(imageData) {
+    const [blob, thumbnail] = await Promise.all([
+        dataUrlToBlob(imageData),
+        createSymbolThumbnail(imageData).then(dataUrlToBlob)
+    ]);
+    return { hash: await hashBlob(blob), blob, thumbnail };
+}
+
+/**
+ * Cache an image (unless it is cached already) and point a key at it
+ * @param {Object} stores - Object stores from withImageStore
+ * @param {Array} key - [projectId, index or history slot]
+ * @param {{hash: string, blob: Blob, thumbnail: Blob}} saved - Image from toBlobs
+ */
+function putImage({ images, cache, thumbnails }, key, { hash, blob, thumbnail }) {
+    addIfMissing(cache, blob, hash);
+    addIfMissing(thumbnails, thumbnail, hash);
+    images.put(hash, key);
+}
+
+/**
+ * Read the master blob a key points at
+ * @param {Object} stores - Object stores from withImageStore
+ * @param {Array} key - [projectId, index or history slot]
+ * @returns {Promise<Blob|undefined>}
+ */
+async function readImage({ images, cache }, key) {
+    const hash = await promisify(images.get(key));
+    if (hash instanceof Blob) {
+        return hash; // Not moved into the cache yet (see migrateImageBlobs)
+    }
+    return hash ? promisify(cache.get(hash)) : undefined;
+}
+
+/**
+ * Describe a failed save for the user
+ * @param {Error} error - Error from IndexedDB
+ * @returns {Error}
+ */
+function describeSaveError(error) {
+    if (error?.name === 'QuotaExceededError') {
+        const quotaError = new Error('Browser storage is full, so new images are not being saved. Free up space in your browser, or download the PDF before reloading.');
+        quotaError.name = error.name;
+        return quotaError;
+    }
+    return new Error(`Could not save image: ${error?.message || error}`);
+}
+
+/**
+ * Save a symbol image and its thumbnail
+ * Failures are reported to the storage error listener; nothing else is removed.
+ * @param {number} index - Symbol index
+ * @param {string} imageData - Image data URL
+ * @param {string|null} requestKey - Cache key of the request that made the image (see
+ *   createCacheKey). Without one, or if another image is already cached under it (e.g.
+ *   two symbols asked for the same image at once), the image is cached by its own bytes.
+ * @returns {Promise<boolean>} True if the image was saved
+ */
+export async function saveImage(index, imageData, requestKey = null) {
+    try {
+        const saved = await toBlobs(imageData);
+        const key = [getActiveProjectId(), index];
+        await withImageStore('readwrite', async (stores) => {
+            if (requestKey && !(await promisify(stores.cache.getKey(requestKey)))) {
+                saved.hash = requestKey;
+            }
+            putImage(stores, key, saved);
+        });
+        return true;
+    } catch (error) {
+        const saveError = describeSaveError(error);
+        console.error(`Failed to save image ${index}:`, error);
+        if (errorListener) errorListener(saveError, index);
+        return false;
+    }
+}
+
+/**
+ * Use a cached image for a symbol, e.g. one another deck already paid for
+ * @param {number} index - Symbol index
+ * @param {string} hash - Cache key (see createCacheKey)
+ * @returns {Promise<string|null>} Image data URL, or null if nothing is cached under the key
+ */
+export async function reuseCachedImage(index, hash) {
+    try {
+        const blob = await withImageStore('readwrite', async ({ images, cache }) => {
+            const cached = await promisify(cache.get(hash));
+            if (cached) {
+                images.put(hash, [getActiveProjectId(), index]);
+            }
+            return cached;
+        });
+        return blob ? await blobToDataUrl(blob) : null;
+    } catch (error) {
+        console.error(`Failed to read cached image for ${index}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Replace all stored images, e.g. with a set of uploaded images
+ * @param {(string|null)[]} images - Image data URLs by symbol index
+ * @returns {Promise<boolean>} True if every image was saved
+ */
+export async function replaceImages(images) {
+    try {
+        const blobs = await Promise.all(images.map(imageData => imageData ? toBlobs(imageData) : null));
+        const projectId = getActiveProjectId();
+        await withImageStore('readwrite', (stores) => {
+            stores.images.delete(projectRange(projectId));
+            blobs.forEach((saved, index) => {
+                if (saved) putImage(stores, [projectId, index], saved);
+            });
+        });
+        await pruneCache();
+        return true;
+    } catch (error) {
+        console.error('Failed to save images:', error);
+        if (errorListener) errorListener(describeSaveError(error), null);
+        return false;
+    }
+}
+
+/**
+ * Load a symbol image
+ * @param {number} index - Symbol index
+ * @returns {Promise<string|null>} Image data URL, or null if not stored
+ */
+export async function loadImage(index) {
+    try {
+        const blob = await withImageStore('readonly', stores => readImage(stores, [getActiveProjectId(), index]));
+        return blob ? await blobToDataUrl(blob) : null;
+    } catch (error) {
+        console.error(`Failed to load image ${index}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Load the images for the first count symbols
+ * @param {number} count - Number of symbols
+ * @returns {Promise<(string|null)[]>} Image data URLs (null where missing)
+ */
+export async function loadImages(count) {
+    const images = [];
+    for (let i = 0; i < count; i++) {
+        images.push(await loadImage(i));
+    }
+    return images;
+}
+
+/**
+ * Load the thumbnail of a symbol image
+ * Images without one yet (e.g. from before version 3) get theirs made and saved now.
+ * @param {number} index - Symbol index
+ * @returns {Promise<string|null>} Thumbnail data URL, or null if the symbol has no image
+ */
+export async function loadThumbnail(index) {
+    const key = [getActiveProjectId(), index];
+    try {
+        const { hash, blob } = await withImageStore('readonly', async ({ images, thumbnails }) => {
+            const hash = await promisify(images.get(key));
+            return { hash, blob: typeof hash === 'string' ? await promisify(thumbnails.get(hash)) : null };
+        });
+        if (blob) return await blobToDataUrl(blob);
+        
+        const imageData = await loadImage(index);
+        if (!imageData) return null;
+        const thumbnail = await createSymbolThumbnail(imageData);
+        if (typeof hash === 'string') {
+            const thumbnailBlob = await dataUrlToBlob(thumbnail);
+            await withImageStore('readwrite', ({ thumbnails }) => addIfMissing(thumbnails, thumbnailBlob, hash));
+        }
+        return thumbnail;
+    } catch (error) {
+        console.error(`Failed to load thumbnail ${index}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Load the thumbnails for the first count symbols
+ * @param {number} count - Number of symbols
+ * @returns {Promise<(string|null)[]>} Thumbnail data URLs (null where there is no image)
+ */
+export async function loadThumbnails(count) {
+    const thumbnails = [];
+    for (let i = 0; i < count; i++) {
+        thumbnails.push(await loadThumbnail(i));
+    }
+    return thumbnails;
+}
+
+/**
+ * Delete cached images that no project or history slot points at any more
+ * @returns {Promise<void>}
+ */
+async function pruneCache() {
+    try {
+        await withImageStore('readwrite', async ({ images, cache, thumbnails }) => {
+            const [hashes, cached] = await Promise.all([
+                promisify(images.getAll()),
+                promisify(cache.getAllKeys())
+            ]);
+            const used = new Set(hashes);
+            cached.filter(hash => !used.has(hash)).forEach((hash) => {
+                cache.delete(hash);
+                thumbnails.delete(hash);
+            });
+        });
+    } catch (error) {
+        console.error('Failed to prune the image cache:', error);
+    }
+}
+
+/**
+ * Delete all images of a project
+ * Cached images other projects still use are kept.
+ * @param {string} projectId - Project ID (defaults to the open project)
+ * @returns {Promise<void>}
+ */
+export async function clearImages(projectId = getActiveProjectId()) {
+    try {
+        await withImageStore('readwrite', ({ images }) => images.delete(projectRange(projectId)));
+        await pruneCache();
+    } catch (error) {
+        console.error('Failed to clear images:', error);
+    }
+}
+
+/**
+ * Copy all images of one project to another, e.g. when duplicating a project
+ * Only the hashes are copied; both projects share the cached images.
+ * @param {string} fromId - Source project ID
+ * @param {string} toId - Target project ID
+ * @returns {Promise<boolean>} True if the images were copied
+ */
+export async function copyProjectImages(fromId, toId) {
+    try {
+        await withImageStore('readwrite', ({ images }) => {
+            const request = images.openCursor(projectRange(fromId));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                images.put(cursor.value, [toId, cursor.key[1]]);
+                cursor.continue();
+            };
+        });
+        return true;
+    } catch (error) {
+        console.error('Failed to copy images:', error);
+        if (errorListener) errorListener(describeSaveError(error), null);
+        return false;
+    }
+}
+
+/**
+ * Key of a history slot
+ * @param {string} slot - Slot name (from history.js)
+ * @param {string} projectId - Project ID
+ * @returns {Array}
+ */
+function historySlotKey(slot, projectId) {
+    return [projectId, `${HISTORY_SLOT_PREFIX}${slot}`];
+}
+
+/**
+ * Keep a symbol's image in a history slot before an edit replaces it, so undo
+ * can bring it back (call it before saving the new image)
+ * @param {string} slot - Slot name
+ * @param {number} index - Symbol index (a symbol without an image leaves the slot empty)
+ * @returns {Promise<boolean>} True if the image was kept
+ */
+export async function keepHistoryImage(slot, index) {
+    const projectId = getActiveProjectId();
+    try {
+        await withImageStore('readwrite', async ({ images }) => {
+            const hash = await promisify(images.get([projectId, index]));
+            if (hash) {
+                images.put(hash, historySlotKey(slot, projectId));
+            }
+        });
+        return true;
+    } catch (error) {
+        console.error('Failed to keep image for undo:', error);
+        if (errorListener) errorListener(describeSaveError(error), null);
+        return false;
+    }
+}
+
+/**
+ * Swap a symbol's image with the one kept in a history slot (undo and redo)
+ * An empty slot removes the symbol's image; an empty symbol leaves the slot empty.
+ * @param {number} index - Symbol index
+ * @param {string} slot - Slot name
+ * @returns {Promise<string|null>} The symbol's image after the swap
+ */
+export async function swapHistoryImage(index, slot) {
+    const projectId = getActiveProjectId();
+    const imageKey = [projectId, index];
+    const slotKey = historySlotKey(slot, projectId);
+    
+    const blob = await withImageStore('readwrite', async (stores) => {
+        const { images } = stores;
+        const [current, kept] = await Promise.all([
+            promisify(images.get(imageKey)),
+            promisify(images.get(slotKey))
+        ]);
+        if (kept) {
+            images.put(kept, imageKey);
+        } else {
+            images.delete(imageKey);
+        }
+        if (current) {
+            images.put(current, slotKey);
+        } else {
+            images.delete(slotKey);
+        }
+        return readImage(stores, imageKey);
+    });
+    return blob ? blobToDataUrl(blob) : null;
+}
+
+/**
+ * Delete history slots that can no longer be undone or redone, and the
+ * cached images nothing else uses
+ * @param {string[]} slots - Slot names
+ * @param {string} projectId - Project ID (defaults to the open project)
+ * @returns {Promise<void>}
+ */
+export async function deleteHistoryImages(slots, projectId = getActiveProjectId()) {
+    if (slots.length === 0) return;
+    try {
+        await withImageStore('readwrite', ({ images }) => {
+            slots.forEach(slot => images.delete(historySlotKey(slot, projectId)));
+        });
+        await pruneCache();
+    } catch (error) {
+        console.error('Failed to delete undo images:', error);
+    }
+}
+
+/**
+ * How much browser storage this site uses
+ * @returns {Promise<{usage: number, quota: number}|null>} Bytes, or null if the browser can't tell
+ */
+export async function getStorageUsage() {
+    if (!navigator.storage?.estimate) return null;
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    } catch (error) {
+        return null;
+    }
+}
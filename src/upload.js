@@ -0,0 +1,154 @@
+/**
+ * Bulk Upload of Symbol Images
+ * Reads dropped/selected image files, folders and zip archives into
+ * data URLs, using each file name as the symbol description.
+ */
+
+import JSZip from 'jszip';
+
+const IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml'
+};
+
+/**
+ * Get the lowercase extension of a file name
+ * @param {string} name - File name or path
+ * @returns {string}
+ */
+function getExtension(name) {
+    const match = name.toLowerCase().match(/\.([a-z0-9]+)$/);
+    return match ? match[1] : '';
+}
+
+/**
+ * Turn a file name into a symbol description
+ * e.g. "photos/red_apple-2.PNG" -> "red apple 2"
+ * @param {string} name - File name or path
+ * @returns {string}
+ */
+export function descriptionFromFileName(name) {
+    const base = name.split('/').pop().replace(/\.[^.]+$/, '');
+    return base.replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim() || 'symbol';
+}
+
+/**
+ * Skip hidden files and OS metadata (e.g. .DS_Store, __MACOSX/)
+ * @param {string} path - File path
+ * @returns {boolean}
+ */
+function isHiddenPath(path) {
+    return path.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+/**
+ * Read a File as a data URL
+ * @param {File} file - File to read
+ * @returns {Promise<string>}
+ */
+function readFileAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onloadend = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Extract all images from a zip archive
+ * @param {File} file - Zip file
+ * @returns {Promise<{name: string, imageData: string}[]>}
+ */
+async function readZip(file) {
+    const zip = await JSZip.loadAsync(file);
+    const entries = Object.values(zip.files).filter(entry =>
+        !entry.dir && !isHiddenPath(entry.name) && IMAGE_TYPES[getExtension(entry.name)]
+    );
+    
+    return Promise.all(entries.map(async entry => {
+        const base64 = await entry.async('base64');
+        return {
+            name: entry.name,
+            imageData: `data:${IMAGE_TYPES[getExtension(entry.name)]};base64,${base64}`
+        };
+    }));
+}
+
+/**
+ * Recursively collect files from a dropped folder entry
+ * @param {FileSystemEntry} entry - Entry from DataTransferItem.webkitGetAsEntry()
+ * @returns {Promise<File[]>}
+ */
+async function readEntry(entry) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        // Keep the folder path so sorting follows the folder structure
+        Object.defineProperty(file, 'relativePath', { value: entry.fullPath.replace(/^\//, '') });
+        return [file];
+    }
+    
+    if (entry.isDirectory) {
+        const reader = entry.createReader();
+        const children = [];
+        // readEntries returns results in chunks until it returns an empty list
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            children.push(...batch);
+        } while (batch.length > 0);
+        
+        const nested = await Promise.all(children.map(readEntry));
+        return nested.flat();
+    }
+    
+    return [];
+}
+
+/**
+ * Read images from a list of files (images and/or zip archives)
+ * @param {File[]} files - Files to read
+ * @returns {Promise<{name: string, description: string, imageData: string}[]>} Images sorted by name
+ */
+export async function readImageFiles(files) {
+    const results = await Promise.all(Array.from(files).map(async file => {
+        const path = file.relativePath || file.webkitRelativePath || file.name;
+        if (isHiddenPath(path)) return [];
+        
+        const extension = getExtension(file.name);
+        if (extension === 'zip') {
+            return readZip(file);
+        }
+        if (file.type.startsWith('image/') || IMAGE_TYPES[extension]) {
+            return [{ name: path, imageData: await readFileAsDataURL(file) }];
+        }
+        return [];
+    }));
+    
+    return results
+        .flat()
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+        .map(({ name, imageData }) => ({ name, description: descriptionFromFileName(name), imageData }));
+}
+
+/**
+ * Read images from a drop event, including dropped folders
+ * @param {DataTransfer} dataTransfer - Drop event data
+ * @returns {Promise<{name: string, description: string, imageData: string}[]>} Images sorted by name
+ */
+export async function readDroppedImages(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+    
+    if (entries.length === 0) {
+        return readImageFiles(dataTransfer.files);
+    }
+    
+    const files = (await Promise.all(entries.map(readEntry))).flat();
+    return readImageFiles(files);
+}